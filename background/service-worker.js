@@ -1,19 +1,48 @@
 /**
  * Spot Checker - Service Worker (Background Script)
  * Handles background tasks, message passing, and alarms
- * Cross-browser compatible
+ * Cross-browser compatible (ES module: MV3 module worker, MV2 module background page)
  */
 
+import { SpotifyAPI } from '../lib/spotify-api.js';
+import { Storage } from '../lib/storage.js';
+import { SnapshotDiff } from '../lib/snapshot-diff.js';
+import { PlaylistCache } from '../lib/cache.js';
+import { BulkJobs } from '../lib/bulk-jobs.js';
+import { HistoryDB } from '../lib/history-db.js';
+import { Anomaly } from '../lib/anomaly.js';
+import { SyncScheduler } from '../lib/sync-scheduler.js';
+import { Alerts } from '../lib/alerts.js';
+import { Webhooks } from '../lib/webhooks.js';
+import { Premium } from '../lib/premium.js';
+import { BotScore } from '../lib/bot-score.js';
+import { ExternalApi } from '../lib/external-api.js';
+import { ApiKeys } from '../lib/api-keys.js';
+import { MessageRouter, MESSAGE_SENDERS } from '../lib/message-router.js';
+import { Metering } from '../lib/metering.js';
+import { Auth, SIGN_IN_STATES } from '../lib/auth.js';
+
 // Cross-browser API
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
+// Toolbar button API (MV3 action, MV2 browserAction)
+const actionAPI = browserAPI.action || browserAPI.browserAction;
+
 // Constants
 const ALARM_NAMES = {
   DAILY_RESET: 'dailyReset',
   SYNC_TRACKED: 'syncTracked',
   VERIFY_SUBSCRIPTION: 'verifySubscription',
+  BULK_JOBS: 'bulkJobs',
+  SIGN_IN: 'signIn',
 };
 
+// Minimum gap between storage quota warnings
+const QUOTA_WARNING_INTERVAL = 7 * 24 * 60 * 60 * 1000;
+
+// Only the track fields placement checks and snapshots need
+const ITEM_FIELDS = 'total,items(added_at,track(id,name,artists(id,name)))';
+
 /**
  * Initialise service worker
  */
@@ -25,6 +54,12 @@ async function init() {
 
   // Check subscription status on startup
   await verifySubscription();
+
+  // Pick up today's usage and limits from the backend
+  Metering.reconcile({ force: true });
+
+  // Pick up bulk jobs interrupted by a restart
+  resumeBulkJobs();
 }
 
 /**
@@ -37,17 +72,41 @@ async function setupAlarms() {
     periodInMinutes: 24 * 60, // Daily
   });
 
-  // Sync tracked playlists every 6 hours (premium only)
-  browserAPI.alarms.create(ALARM_NAMES.SYNC_TRACKED, {
-    periodInMinutes: 6 * 60,
-  });
+  // Sync tracked playlists at the user's interval (premium only)
+  await scheduleSync();
 
   // Verify subscription every 24 hours
-  browserAPI.alarms.create(ALARM_NAMES.VERIFY_SUBSCRIPTION, {
-    periodInMinutes: 24 * 60,
-  });
+  await ensureAlarm(ALARM_NAMES.VERIFY_SUBSCRIPTION, 24 * 60);
+}
+
+/**
+ * Create the tracked playlist sync alarm from the interval setting
+ * @param {Object} options - { force: recreate even if the period is unchanged }
+ */
+async function scheduleSync({ force = false } = {}) {
+  const hours = await SyncScheduler.getInterval();
+  await ensureAlarm(ALARM_NAMES.SYNC_TRACKED, hours * 60, { force });
 }
 
+/**
+ * Create a repeating alarm unless it already exists with this period
+ * Recreating an alarm restarts its countdown, so a worker that starts more often
+ * than the period would otherwise keep pushing it back
+ */
+async function ensureAlarm(name, periodInMinutes, { force = false } = {}) {
+  const existing = await browserAPI.alarms.get(name);
+  if (!force && existing?.periodInMinutes === periodInMinutes) return;
+
+  browserAPI.alarms.create(name, { periodInMinutes });
+}
+
+// Pick up interval changes made in the popup
+browserAPI.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.syncInterval) {
+    scheduleSync({ force: true });
+  }
+});
+
 /**
  * Get timestamp for next midnight
  */
@@ -75,6 +134,12 @@ browserAPI.alarms.onAlarm.addListener(async alarm => {
     case ALARM_NAMES.VERIFY_SUBSCRIPTION:
       await verifySubscription();
       break;
+    case ALARM_NAMES.BULK_JOBS:
+      await resumeBulkJobs();
+      break;
+    case ALARM_NAMES.SIGN_IN:
+      await checkMagicLink();
+      break;
   }
 });
 
@@ -89,77 +154,72 @@ async function handleDailyReset() {
     apiUsageDate: new Date().toDateString(),
   });
   console.log('Daily usage reset');
+
+  await Metering.reconcile({ force: true });
 }
 
 /**
  * Sync tracked playlists with cloud
+ * Each run refreshes the least recently synced playlists within the request budget
  */
 async function handleSyncTracked() {
-  const { userTier, userEmail, trackedPlaylists } = await browserAPI.storage.local.get([
-    'userTier',
+  const { userEmail, placementWatchlist } = await browserAPI.storage.local.get([
     'userEmail',
-    'trackedPlaylists',
+    'placementWatchlist',
   ]);
 
   // Only sync for premium users
-  if (userTier === 'free' || !userEmail) {
+  if (!userEmail || !(await Premium.hasFeature('tracking'))) {
     return;
   }
 
   try {
     // Update follower counts for tracked playlists
-    const token = await getAccessToken();
-
-    if (!token || !trackedPlaylists?.length) return;
-
-    const updatedPlaylists = await Promise.all(
-      trackedPlaylists.slice(0, 10).map(async playlist => {
-        try {
-          const response = await fetch(
-            `https://api.spotify.com/v1/playlists/${playlist.id}?fields=followers`,
-            { headers: { Authorization: `Bearer ${token}` } }
-          );
-
-          if (response.ok) {
-            const data = await response.json();
-            const newFollowers = data.followers?.total;
-
-            // Add to history
-            const history = playlist.history || [];
-            history.unshift({
-              followers: newFollowers,
-              timestamp: Date.now(),
-            });
-
-            // Keep last 30 entries
-            if (history.length > 30) {
-              history.pop();
-            }
-
-            return {
-              ...playlist,
-              followers: newFollowers,
-              history,
-              lastUpdated: Date.now(),
-            };
-          }
-        } catch (e) {
-          console.error('Failed to update playlist:', playlist.id, e);
-        }
-        return playlist;
-      })
+    const trackedPlaylists = await Storage.getTrackedPlaylists();
+    if (!trackedPlaylists.length) return;
+
+    const watchlist = placementWatchlist || { artistIds: [], trackIds: [] };
+    const context = {
+      watchlist,
+      watchingPlacements: watchlist.artistIds.length > 0 || watchlist.trackIds.length > 0,
+      placementEvents: [],
+      trackChanges: new Map(),
+    };
+
+    const updates = await SyncScheduler.run(trackedPlaylists, playlist =>
+      syncPlaylist(playlist, context)
     );
+    updates
+      .filter(u => u.lastError)
+      .forEach(u => {
+        console.error('Failed to update playlist:', u.id, u.lastError);
+        // Spotify answers 404 for private and deleted playlists alike
+        if (u.lastErrorStatus === 404) u.unavailable = true;
+      });
+
+    await Storage.updateTrackedPlaylists(updates);
+    console.log(`Tracked playlists synced (${updates.length} of ${trackedPlaylists.length})`);
+
+    await notifyChanges(trackedPlaylists, updates);
+    await sendWebhooks(trackedPlaylists, updates, context.trackChanges);
+
+    if (context.placementEvents.length > 0) {
+      await recordPlacementEvents(context.placementEvents);
+    }
 
-    await browserAPI.storage.local.set({ trackedPlaylists: updatedPlaylists });
-    console.log('Tracked playlists synced');
+    await maintainHistory();
 
-    // Sync to cloud
+    // Sync to cloud (signed in with the same session as Storage.syncWithCloud)
+    const session = await Storage.getAuthSession();
     await fetch('https://spot-checker.totalaudiopromo.com/api/sync', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        ...(session && { Authorization: `Bearer ${session}` }),
+      },
       body: JSON.stringify({
         userId: userEmail,
-        trackedPlaylists: updatedPlaylists,
+        trackedPlaylists: await Storage.withRecentHistory(await Storage.getTrackedPlaylists()),
       }),
     });
   } catch (error) {
@@ -168,126 +228,521 @@ async function handleSyncTracked() {
 }
 
 /**
- * Verify subscription status
+ * Refresh one tracked playlist: followers, history findings, placements and snapshot
+ * @returns {Promise<{update: Object, requests: number}>} - Changed fields and Spotify requests made
  */
-async function verifySubscription() {
-  const { userEmail, subscriptionId } = await browserAPI.storage.local.get([
-    'userEmail',
-    'subscriptionId',
-  ]);
+async function syncPlaylist(
+  playlist,
+  { watchlist, watchingPlacements, placementEvents, trackChanges }
+) {
+  let requests = 1;
+  // Full playlist fields, so the bot score can be refreshed for alerts and webhooks
+  const data = await SpotifyAPI.getPlaylist(playlist.id);
+  const newFollowers = data.followers?.total;
+
+  // Cached lookups of a changed playlist are stale
+  await PlaylistCache.invalidateIfChanged(playlist.id, data.snapshot_id);
 
-  if (!userEmail && !subscriptionId) {
-    return;
+  try {
+    await HistoryDB.addEntry(playlist.id, {
+      followers: newFollowers,
+      timestamp: Date.now(),
+    });
+  } catch (e) {
+    console.error('Failed to store history:', playlist.id, e);
   }
 
+  // Re-scan the follower series with the new reading
+  let historyAnomalies = playlist.historyAnomalies;
   try {
-    const response = await fetch(
-      'https://spot-checker.totalaudiopromo.com/api/subscription/verify',
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email: userEmail, subscriptionId }),
-      }
-    );
+    const history = await Storage.getPlaylistHistory(playlist.id, {
+      since: Anomaly.windowStart(),
+    });
+    historyAnomalies = Anomaly.detect(history);
+  } catch (e) {
+    console.error('Failed to analyse history:', playlist.id, e);
+  }
 
-    if (response.ok) {
-      const data = await response.json();
+  const botData = BotScore.calculate(data, { historyAnomalies });
 
-      await browserAPI.storage.local.set({
-        userTier: data.active ? data.tier : 'free',
-        tierExpiry: data.expiresAt || 0,
-        lastVerified: Date.now(),
-      });
+  // Track list is only fetched when something needs it
+  let items = null;
+  const getItems = async () => {
+    if (!items) {
+      items = await SpotifyAPI.getAllPlaylistTracks(playlist.id, ITEM_FIELDS);
+      requests += Math.max(1, Math.ceil(items.length / 100));
+    }
+    return items;
+  };
+
+  let placements = playlist.placements;
+  if (watchingPlacements) {
+    try {
+      placements = updatePlacements(playlist, await getItems(), watchlist, placementEvents);
+    } catch (e) {
+      console.error('Failed to check placements:', playlist.id, e);
+    }
+  }
 
-      console.log('Subscription verified:', data.tier);
+  // Store the track list whenever the playlist changed
+  let snapshotId = playlist.snapshotId;
+  if (data.snapshot_id && data.snapshot_id !== snapshotId) {
+    try {
+      const [previous] = await Storage.getPlaylistSnapshots(playlist.id);
+      const snapshot = {
+        snapshotId: data.snapshot_id,
+        timestamp: Date.now(),
+        tracks: SnapshotDiff.toSnapshotTracks(await getItems()),
+      };
+      await Storage.savePlaylistSnapshot(playlist.id, snapshot);
+      snapshotId = data.snapshot_id;
+
+      if (previous) {
+        trackChanges.set(playlist.id, SnapshotDiff.diff(previous, snapshot));
+      }
+    } catch (e) {
+      console.error('Failed to store snapshot:', playlist.id, e);
     }
-  } catch (error) {
-    console.error('Subscription verification failed:', error);
   }
+
+  return {
+    update: {
+      name: data.name ?? playlist.name,
+      image: data.images?.[0]?.url ?? playlist.image,
+      public: data.public,
+      trackCount: data.tracks?.total,
+      unavailable: false,
+      followers: newFollowers,
+      historyAnomalies,
+      botScore: botData.score,
+      botLevel: botData.level,
+      placements,
+      snapshotId,
+    },
+    requests,
+  };
 }
 
 /**
- * Get Spotify access token
+ * Show a notification for each alert rule a synced playlist triggered
  */
-async function getAccessToken() {
+async function notifyChanges(trackedPlaylists, updates) {
   try {
-    const response = await fetch('https://spot-checker.totalaudiopromo.com/api/spotify-token', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+    const rules = await Alerts.getRules();
+
+    updates.forEach(update => {
+      const previous = trackedPlaylists.find(p => p.id === update.id);
+      if (!previous || (update.lastError && !update.unavailable)) return;
+
+      Alerts.evaluate(previous, { ...previous, ...update }, rules).forEach(alert => {
+        browserAPI.notifications?.create(`alert|${alert.playlistId}|${alert.ruleId}`, {
+          type: 'basic',
+          iconUrl: browserAPI.runtime.getURL('icons/icon128.png'),
+          title: alert.title,
+          message: alert.message,
+        });
+      });
     });
-
-    if (response.ok) {
-      const data = await response.json();
-      return data.access_token;
-    }
   } catch (error) {
-    console.error('Token fetch failed:', error);
+    console.error('Alert check failed:', error);
   }
-  return null;
 }
 
 /**
- * Handle messages from popup/content scripts
+ * Deliver change events to the user's webhook endpoints (Pro)
  */
-browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('Message received:', message.type);
-
-  switch (message.type) {
-    case 'GET_PLAYLIST':
-      handleGetPlaylist(message.playlistId).then(sendResponse);
-      return true;
+async function sendWebhooks(trackedPlaylists, updates, trackChanges) {
+  try {
+    if (!(await Premium.hasFeature('webhooks'))) return;
 
-    case 'CHECK_SUBSCRIPTION':
-      verifySubscription().then(() => sendResponse({ success: true }));
-      return true;
+    const events = updates.flatMap(update => {
+      const previous = trackedPlaylists.find(p => p.id === update.id);
+      if (!previous || (update.lastError && !update.unavailable)) return [];
 
-    case 'SYNC_NOW':
-      handleSyncTracked().then(() => sendResponse({ success: true }));
-      return true;
+      return Webhooks.buildEvents(
+        previous,
+        { ...previous, ...update },
+        trackChanges.get(update.id)
+      );
+    });
 
-    case 'PAYMENT_SUCCESS':
-      handlePaymentSuccess(message.data).then(sendResponse);
-      return true;
+    await Webhooks.dispatch(events);
+  } catch (error) {
+    console.error('Webhook delivery failed:', error);
   }
+}
+
+/**
+ * Open the popup page on the playlist an alert is about
+ */
+browserAPI.notifications?.onClicked.addListener(notificationId => {
+  const [kind, playlistId] = notificationId.split('|');
+  if (kind !== 'alert' || !playlistId) return;
+
+  browserAPI.notifications.clear(notificationId);
+  browserAPI.tabs.create({
+    url: browserAPI.runtime.getURL(`popup/popup.html?playlist=${encodeURIComponent(playlistId)}`),
+  });
 });
 
 /**
- * Handle playlist fetch request
+ * Apply the history retention setting and warn (at most weekly) when storage is nearly full
  */
-async function handleGetPlaylist(playlistId) {
+async function maintainHistory() {
   try {
-    const token = await getAccessToken();
-    if (!token) {
-      return { error: 'No access token' };
-    }
+    await HistoryDB.prune(await Storage.getHistoryRetention());
+
+    const usage = await Storage.getUsage();
+    const warnedAt = await Storage.getQuotaWarnedAt();
+    if (!usage?.nearQuota || Date.now() - warnedAt < QUOTA_WARNING_INTERVAL) return;
+
+    await Storage.setQuotaWarnedAt(Date.now());
+    browserAPI.notifications?.create('storage-quota', {
+      type: 'basic',
+      iconUrl: browserAPI.runtime.getURL('icons/icon128.png'),
+      title: 'Storage almost full',
+      message:
+        'Follower history, snapshots and settings are using most of the space available to Spot Checker. Shorten history retention or untrack playlists in Settings to free some up.',
+    });
+  } catch (error) {
+    console.error('History maintenance failed:', error);
+  }
+}
 
-    const response = await fetch(
-      `https://api.spotify.com/v1/playlists/${playlistId}?fields=id,name,description,public,collaborative,followers,tracks(total),images,owner,external_urls,snapshot_id`,
-      { headers: { Authorization: `Bearer ${token}` } }
-    );
+/**
+ * Match playlist items against the watchlist and record placement changes
+ * @returns {Object} - Placements keyed by track ID
+ */
+function updatePlacements(playlist, items, watchlist, events) {
+  const previous = playlist.placements || {};
+  const placements = {};
+  const now = Date.now();
+
+  items.forEach((item, index) => {
+    const track = item.track;
+    if (!track?.id || placements[track.id]) return;
+
+    const artistIds = track.artists?.map(a => a.id) || [];
+    if (!isWatched(track.id, artistIds, watchlist)) return;
+
+    const existing = previous[track.id];
+    const isNew = !existing || existing.removedAt;
+
+    placements[track.id] = {
+      trackId: track.id,
+      name: track.name,
+      artist: track.artists?.map(a => a.name).join(', '),
+      artistIds,
+      position: index + 1,
+      addedAt: item.added_at,
+      firstSeen: isNew ? now : existing.firstSeen,
+      lastSeen: now,
+      removedAt: null,
+    };
+
+    if (isNew) {
+      events.push({
+        type: 'added',
+        playlistId: playlist.id,
+        playlistName: playlist.name,
+        ...placements[track.id],
+        timestamp: now,
+      });
+    }
+  });
 
-    if (!response.ok) {
-      return { error: `HTTP ${response.status}`, status: response.status };
+  // Keep removed placements so the history shows when they disappeared
+  for (const [trackId, placement] of Object.entries(previous)) {
+    if (placements[trackId]) continue;
+
+    // Drop placements for artists/tracks no longer on the watchlist
+    if (!isWatched(trackId, placement.artistIds || [], watchlist)) continue;
+
+    if (placement.removedAt) {
+      placements[trackId] = placement;
+    } else {
+      placements[trackId] = { ...placement, position: null, removedAt: now };
+      events.push({
+        type: 'removed',
+        playlistId: playlist.id,
+        playlistName: playlist.name,
+        ...placement,
+        timestamp: now,
+      });
     }
+  }
+
+  return placements;
+}
+
+/**
+ * Check whether a track or one of its artists is on the watchlist
+ */
+function isWatched(trackId, artistIds, watchlist) {
+  return (
+    watchlist.trackIds.includes(trackId) || artistIds.some(id => watchlist.artistIds.includes(id))
+  );
+}
+
+/**
+ * Store placement events and alert on removals
+ */
+async function recordPlacementEvents(events) {
+  const { placementEvents = [] } = await browserAPI.storage.local.get('placementEvents');
+
+  // Keep last 200 events
+  const updated = [...events, ...placementEvents].slice(0, 200);
+  await browserAPI.storage.local.set({ placementEvents: updated });
+
+  events
+    .filter(e => e.type === 'removed')
+    .forEach(e => {
+      browserAPI.notifications?.create(`placement-${e.playlistId}-${e.trackId}-${e.timestamp}`, {
+        type: 'basic',
+        iconUrl: browserAPI.runtime.getURL('icons/icon128.png'),
+        title: 'Placement removed',
+        message: `"${e.name}" by ${e.artist} was removed from "${e.playlistName}"`,
+      });
+    });
+}
 
-    const data = await response.json();
-    return { success: true, data };
+/**
+ * Run pending bulk jobs
+ * An alarm keeps waking the worker while jobs remain, in case it is stopped mid-job
+ */
+async function resumeBulkJobs() {
+  if (!(await BulkJobs.hasPending())) {
+    browserAPI.alarms.clear(ALARM_NAMES.BULK_JOBS);
+    return;
+  }
+
+  browserAPI.alarms.create(ALARM_NAMES.BULK_JOBS, { periodInMinutes: 1 });
+
+  try {
+    await BulkJobs.process({
+      onProgress: job => {
+        setBadge(`${Math.floor((job.completed / job.items.length) * 100)}%`);
+      },
+      onComplete: notifyBulkJobComplete,
+    });
   } catch (error) {
-    return { error: error.message };
+    console.error('Bulk job failed:', error);
+    return;
+  }
+
+  browserAPI.alarms.clear(ALARM_NAMES.BULK_JOBS);
+}
+
+/**
+ * Badge and notify when a bulk job finishes
+ */
+function notifyBulkJobComplete(job) {
+  const results = BulkJobs.getResults(job);
+  const failed = results.filter(r => r.error).length;
+  const flagged = results.filter(r => r.botData && r.botData.level !== 'low').length;
+
+  setBadge('\u2713');
+
+  browserAPI.notifications?.create(`bulk-${job.id}`, {
+    type: 'basic',
+    iconUrl: browserAPI.runtime.getURL('icons/icon128.png'),
+    title: 'Bulk check complete',
+    message: `${results.length - failed} playlists checked, ${flagged} flagged${failed ? `, ${failed} failed` : ''}. Open Spot Checker to see results.`,
+  });
+}
+
+/**
+ * Set the toolbar badge text (empty string clears it)
+ */
+function setBadge(text) {
+  actionAPI?.setBadgeBackgroundColor?.({ color: '#1DB954' });
+  actionAPI?.setBadgeText({ text });
+}
+
+/**
+ * Verify subscription status (renews the signed entitlement)
+ */
+async function verifySubscription() {
+  const tier = await Premium.verifySubscription();
+  console.log('Subscription verified:', tier);
+
+  // The signed quota carries the tier's limits
+  await Metering.reconcile({ force: true });
+  return tier;
+}
+
+/**
+ * Messages from the popup, content scripts and allowed web pages
+ * Each handler's return value is the response's data; thrown errors become its error
+ */
+MessageRouter.registerRoute('GET_PLAYLIST', {
+  senders: [MESSAGE_SENDERS.POPUP, MESSAGE_SENDERS.CONTENT],
+  schema: { playlistId: 'string', refresh: 'boolean?' },
+  timeout: 30000,
+  handler: (message, sender, { signal }) =>
+    handleGetPlaylist(message.playlistId, message.refresh, signal),
+});
+
+MessageRouter.registerRoute('CHECK_SUBSCRIPTION', {
+  senders: [MESSAGE_SENDERS.POPUP],
+  handler: () => verifySubscription(),
+});
+
+MessageRouter.registerRoute('SYNC_NOW', {
+  senders: [MESSAGE_SENDERS.POPUP],
+  // A full rotation spends the whole request budget
+  timeout: 120000,
+  handler: () => handleSyncTracked(),
+});
+
+MessageRouter.registerRoute('START_BULK_JOB', {
+  senders: [MESSAGE_SENDERS.POPUP],
+  schema: { entries: 'array', headers: 'array?' },
+  handler: async message => {
+    await Metering.consume('bulk', message.entries.length);
+    const job = await BulkJobs.create(message.entries, message.headers);
+    resumeBulkJobs();
+    return { jobId: job.id };
+  },
+});
+
+MessageRouter.registerRoute('CANCEL_BULK_JOB', {
+  senders: [MESSAGE_SENDERS.POPUP],
+  schema: { jobId: 'string' },
+  handler: async message => {
+    await BulkJobs.cancel(message.jobId);
+    setBadge('');
+  },
+});
+
+MessageRouter.registerRoute('PAYMENT_SUCCESS', {
+  senders: [MESSAGE_SENDERS.POPUP],
+  schema: { data: 'object' },
+  handler: message => handlePaymentSuccess(message.data),
+});
+
+MessageRouter.registerRoute('SIGN_IN', {
+  senders: [MESSAGE_SENDERS.POPUP],
+  // The user signs in in the auth window; the popup closes meanwhile
+  timeout: 10 * 60 * 1000,
+  handler: async () => {
+    const account = await Auth.signInWithWebAuthFlow();
+    // The signed quota carries the account's limits
+    await Metering.reconcile({ force: true });
+    return account;
+  },
+});
+
+MessageRouter.registerRoute('REQUEST_MAGIC_LINK', {
+  senders: [MESSAGE_SENDERS.POPUP],
+  schema: { email: 'string' },
+  handler: async message => {
+    const pending = await Auth.requestMagicLink(message.email);
+    // Keep checking after the popup closes
+    browserAPI.alarms.create(ALARM_NAMES.SIGN_IN, { periodInMinutes: 1 });
+    return pending;
+  },
+});
+
+MessageRouter.registerRoute('CHECK_SIGN_IN', {
+  senders: [MESSAGE_SENDERS.POPUP],
+  handler: () => checkMagicLink(),
+});
+
+MessageRouter.registerRoute('CANCEL_SIGN_IN', {
+  senders: [MESSAGE_SENDERS.POPUP],
+  handler: async () => {
+    await Auth.cancelMagicLink();
+    browserAPI.alarms.clear(ALARM_NAMES.SIGN_IN);
+  },
+});
+
+// Webhook endpoints and their delivery log are only written here, in order with dispatches
+MessageRouter.registerRoute('ADD_WEBHOOK', {
+  senders: [MESSAGE_SENDERS.POPUP],
+  schema: { url: 'string', secret: 'string?', format: 'string?' },
+  handler: message => Webhooks.addEndpoint(message.url, message.secret, message.format),
+});
+
+MessageRouter.registerRoute('REMOVE_WEBHOOK', {
+  senders: [MESSAGE_SENDERS.POPUP],
+  schema: { endpointId: 'string' },
+  handler: message => Webhooks.removeEndpoint(message.endpointId),
+});
+
+MessageRouter.registerRoute('SEND_TEST_WEBHOOK', {
+  senders: [MESSAGE_SENDERS.POPUP],
+  schema: { endpointId: 'string' },
+  // Up to three retries with backoff
+  timeout: 60000,
+  handler: message => Webhooks.sendTest(message.endpointId),
+});
+
+// API keys and their log are only written here, in order with the metered calls
+MessageRouter.registerRoute('CREATE_API_KEY', {
+  senders: [MESSAGE_SENDERS.POPUP],
+  schema: { name: 'string?' },
+  handler: message => ApiKeys.create(message.name),
+});
+
+MessageRouter.registerRoute('REVOKE_API_KEY', {
+  senders: [MESSAGE_SENDERS.POPUP],
+  schema: { keyId: 'string' },
+  handler: message => ApiKeys.revoke(message.keyId),
+});
+
+MessageRouter.registerRoute('CLEAR_API_LOG', {
+  senders: [MESSAGE_SENDERS.POPUP],
+  handler: () => ApiKeys.clearLog(),
+});
+
+MessageRouter.registerRoute('API_CALL', {
+  senders: [MESSAGE_SENDERS.EXTERNAL],
+  schema: { apiKey: 'string', method: 'string', params: 'object?' },
+  // Bulk checks of 50 playlists; the JS client waits a little longer
+  timeout: 55000,
+  handler: (message, sender, { signal }) => ExternalApi.call(message, sender, { signal }),
+});
+
+MessageRouter.listen();
+
+/**
+ * Handle playlist fetch request (served from the cache unless refresh is set)
+ * Fresh lookups use a check; recently checked playlists come from the cache for free
+ * A lookup that finishes after the message timed out (signal aborted) is refunded
+ */
+async function handleGetPlaylist(playlistId, refresh = false, signal = null) {
+  const cached = refresh ? null : await PlaylistCache.get(playlistId);
+  if (cached) {
+    const score = await scoreLookup(playlistId, cached.data);
+    return { playlist: cached.data, cachedAt: cached.cachedAt, fromCache: true, ...score };
   }
+
+  // Failed lookups are refunded
+  const { data, cachedAt } = await Metering.meterCheck(
+    () => PlaylistCache.getPlaylist(playlistId, { refresh: true }),
+    { signal }
+  );
+  return { playlist: data, cachedAt, fromCache: false, ...(await scoreLookup(playlistId, data)) };
+}
+
+/**
+ * Bot score for a lookup, with the tracked playlist's history findings
+ * The popup (Premium) and the in-page popover (every tier) both show this result,
+ * so their scores always match
+ */
+async function scoreLookup(playlistId, playlist) {
+  const tracked = await Storage.getTrackedPlaylist(playlistId);
+  const historyAnomalies = tracked?.historyAnomalies || null;
+  return { botData: BotScore.calculate(playlist, { historyAnomalies }), historyAnomalies };
 }
 
 /**
  * Handle successful payment
  */
 async function handlePaymentSuccess(data) {
-  await browserAPI.storage.local.set({
-    userEmail: data.email,
-    subscriptionId: data.subscriptionId,
-    userTier: data.tier,
-    tierExpiry: data.expiresAt,
-    lastVerified: Date.now(),
-  });
+  await Premium.handlePaymentSuccess(data);
+  await Metering.reconcile({ force: true });
 
   // Notify popup
   browserAPI.runtime
@@ -298,8 +753,28 @@ async function handlePaymentSuccess(data) {
     .catch(() => {
       // Popup might not be open
     });
+}
+
+/**
+ * Finish a magic link sign-in if its link has been opened
+ */
+async function checkMagicLink() {
+  let result;
+  try {
+    result = await Auth.checkMagicLink();
+  } catch (error) {
+    // Offline or backend error: try again on the next check
+    console.warn('Sign-in check failed:', error.message);
+    return { state: SIGN_IN_STATES.PENDING, email: null };
+  }
 
-  return { success: true };
+  if (result.state !== SIGN_IN_STATES.PENDING) {
+    browserAPI.alarms.clear(ALARM_NAMES.SIGN_IN);
+  }
+  if (result.state === SIGN_IN_STATES.SIGNED_IN) {
+    await Metering.reconcile({ force: true });
+  }
+  return result;
 }
 
 /**
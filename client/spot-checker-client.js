@@ -0,0 +1,125 @@
+/**
+ * Spot Checker API Client
+ * For web pages on the extension's externally_connectable origins: calls the
+ * installed extension's Pro API with an API key from Settings → API
+ * Only pages on https://*.totalaudiopromo.com can connect: browsers fix these origins
+ * when the extension is installed, so pages on other domains get no response
+ *
+ * Usage:
+ *   import { createClient } from './spot-checker-client.js';
+ *   const spotChecker = createClient({ extensionId: '...', apiKey: 'sc_live_...' });
+ *   const playlist = await spotChecker.checkPlaylist('https://open.spotify.com/playlist/...');
+ */
+
+// Client configuration
+const CONFIG = {
+  TIMEOUT: 60000, // Per call; bulk checks of 50 playlists can take a while
+};
+
+/**
+ * Error thrown when a call fails
+ * status follows HTTP: 400 bad params, 401 bad key, 403 not Pro or origin
+ * not allowed, 404 not found, 429 daily limit reached, 500 extension error,
+ * 503 extension not installed or not reachable, 504 timed out
+ */
+export class SpotCheckerError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'SpotCheckerError';
+    this.status = status;
+  }
+}
+
+/**
+ * Create a client for one extension install
+ * @param {Object} options - { extensionId, apiKey, timeout }
+ * @returns {Object} - Client with one async method per API call
+ */
+export function createClient({ extensionId, apiKey, timeout = CONFIG.TIMEOUT }) {
+  if (!extensionId || !apiKey) {
+    throw new SpotCheckerError('extensionId and apiKey are required', 400);
+  }
+
+  /**
+   * Send one call to the extension
+   */
+  const call = (method, params = {}) =>
+    new Promise((resolve, reject) => {
+      const runtime = globalThis.browser?.runtime || globalThis.chrome?.runtime;
+      if (!runtime?.sendMessage) {
+        reject(new SpotCheckerError('Spot Checker extension is not available on this page', 503));
+        return;
+      }
+
+      const timer = setTimeout(
+        () => reject(new SpotCheckerError(`${method} timed out`, 504)),
+        timeout
+      );
+
+      const onResponse = response => {
+        clearTimeout(timer);
+        const lastError = globalThis.chrome?.runtime?.lastError;
+        if (lastError || !response) {
+          reject(
+            new SpotCheckerError(
+              lastError?.message || 'No response from the Spot Checker extension',
+              503
+            )
+          );
+          return;
+        }
+        if (!response.ok) {
+          reject(new SpotCheckerError(response.error.message, response.error.status));
+          return;
+        }
+        resolve(response.data);
+      };
+
+      const message = { type: 'API_CALL', apiKey, method, params };
+      const sent = runtime.sendMessage(extensionId, message, onResponse);
+      // Promise-based runtimes (Safari) ignore the callback
+      sent?.then?.(onResponse, error => {
+        clearTimeout(timer);
+        reject(new SpotCheckerError(error.message, 503));
+      });
+    });
+
+  return {
+    /**
+     * Check one playlist: metrics and bot score
+     * @param {string} playlist - URL, URI or ID
+     * @param {Object} options - { refresh: skip the extension's cache }
+     * @returns {Promise<Object>}
+     */
+    checkPlaylist(playlist, { refresh = false } = {}) {
+      return call('checkPlaylist', { playlist, refresh });
+    },
+
+    /**
+     * Check up to 50 playlists in one call
+     * @param {Array<string>} playlists - URLs, URIs or IDs
+     * @returns {Promise<Array<Object>>} - Summaries, or { error, input } per failed entry
+     */
+    bulkCheck(playlists) {
+      return call('bulkCheck', { playlists });
+    },
+
+    /**
+     * Get tracked playlists with their latest synced state
+     * @returns {Promise<Array<Object>>}
+     */
+    getTracked() {
+      return call('getTracked');
+    },
+
+    /**
+     * Get a tracked playlist's follower history (newest first)
+     * @param {string} playlist - URL, URI or ID
+     * @param {Object} options - { since: timestamp, limit: max entries (1000) }
+     * @returns {Promise<Array<{timestamp: number, followers: number}>>}
+     */
+    getHistory(playlist, { since, limit } = {}) {
+      return call('getHistory', { playlist, since, limit });
+    },
+  };
+}
@@ -10,6 +10,7 @@ const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 // State
 let isInjected = false;
 let currentPlaylistId = null;
+let domUtilsModule = null;
 
 /**
  * Main injection function
@@ -144,7 +145,7 @@ function injectFloatingButton() {
   span.textContent = 'Check';
   button.appendChild(span);
 
-  button.addEventListener('click', handleCheckClick);
+  button.addEventListener('click', () => handleCheckClick());
   document.body.appendChild(button);
 }
 
@@ -196,15 +197,15 @@ function injectValidationBadge(data) {
   scoreSpan.textContent = data.botScore !== undefined ? `${data.botScore}% risk` : 'Verified';
   badge.appendChild(scoreSpan);
 
-  badge.title = `Bot risk: ${data.level}\nFollowers: ${formatNumber(data.followers)}\nTracks: ${data.tracks}`;
+  badge.title = `${data.level ? `Bot risk: ${data.level}\n` : ''}Followers: ${formatNumber(data.followers)}\nTracks: ${data.tracks}`;
 
   titleElement.parentElement?.appendChild(badge);
 }
 
 /**
- * Handle check button click
+ * Handle check button click (refresh bypasses the lookup cache)
  */
-async function handleCheckClick() {
+async function handleCheckClick(refresh = false) {
   const button = document.getElementById('spot-checker-btn');
   if (!button) return;
 
@@ -214,16 +215,21 @@ async function handleCheckClick() {
     const response = await browserAPI.runtime.sendMessage({
       type: 'GET_PLAYLIST',
       playlistId: currentPlaylistId,
+      refresh,
     });
 
-    if (response.error) {
-      throw new Error(response.error);
+    if (!response?.ok) {
+      if (response?.error?.code === 'DAILY_LIMIT') {
+        throw new Error(`${response.error.message}. Upgrade in the Spot Checker popup.`);
+      }
+      throw new Error(response?.error?.message || 'Spot Checker is not responding');
     }
 
-    const playlist = response.data;
-    const botData = calculateBotScore(playlist);
+    // Scored by the background script, with history findings for tracked playlists
+    const { playlist, cachedAt, botData } = response.data;
+    const { formatAge } = await loadDomUtils();
 
-    showResultsPopover(playlist, botData);
+    showResultsPopover(playlist, botData, formatAge(cachedAt));
     injectValidationBadge({
       level: botData.level,
       botScore: botData.score,
@@ -241,7 +247,7 @@ async function handleCheckClick() {
 /**
  * Show results popover using safe DOM methods
  */
-function showResultsPopover(playlist, botData) {
+function showResultsPopover(playlist, botData, checkedAge) {
   const existing = document.getElementById('spot-checker-popover');
   if (existing) existing.remove();
 
@@ -313,6 +319,49 @@ function showResultsPopover(playlist, botData) {
   popover.appendChild(metrics);
 
   // Score section
+  popover.appendChild(createScoreSection(botData));
+
+  // Footer
+  const footer = document.createElement('div');
+  footer.className = 'spot-checker-popover-footer';
+
+  const branding = document.createElement('a');
+  branding.href = 'https://spot-checker.totalaudiopromo.com';
+  branding.target = '_blank';
+  branding.className = 'spot-checker-branding';
+  branding.textContent = 'Powered by Spot Checker';
+  footer.appendChild(branding);
+
+  // Age of the result, with a way to bypass the cache
+  const age = document.createElement('div');
+  age.className = 'spot-checker-popover-age';
+  age.textContent = `Checked ${checkedAge} \u00B7 `;
+
+  const refreshBtn = document.createElement('button');
+  refreshBtn.className = 'spot-checker-refresh';
+  refreshBtn.textContent = 'Refresh';
+  refreshBtn.addEventListener('click', () => handleCheckClick(true));
+  age.appendChild(refreshBtn);
+
+  footer.appendChild(age);
+  popover.appendChild(footer);
+
+  // Close on click outside
+  const closeHandler = e => {
+    if (!popover.contains(e.target) && e.target.id !== 'spot-checker-btn') {
+      popover.remove();
+      document.removeEventListener('click', closeHandler);
+    }
+  };
+  setTimeout(() => document.addEventListener('click', closeHandler), 100);
+
+  document.body.appendChild(popover);
+}
+
+/**
+ * Bot risk score section of the popover
+ */
+function createScoreSection(botData) {
   const scoreSection = document.createElement('div');
   scoreSection.className = `spot-checker-popover-score ${botData.level}`;
 
@@ -350,35 +399,12 @@ function showResultsPopover(playlist, botData) {
     const factor = document.createElement('span');
     factor.className = `spot-checker-factor ${f.level || ''}`;
     factor.textContent = f.label;
+    factor.title = f.explanation || '';
     factors.appendChild(factor);
   });
 
   scoreSection.appendChild(factors);
-  popover.appendChild(scoreSection);
-
-  // Footer
-  const footer = document.createElement('div');
-  footer.className = 'spot-checker-popover-footer';
-
-  const branding = document.createElement('a');
-  branding.href = 'https://spot-checker.totalaudiopromo.com';
-  branding.target = '_blank';
-  branding.className = 'spot-checker-branding';
-  branding.textContent = 'Powered by Spot Checker';
-  footer.appendChild(branding);
-
-  popover.appendChild(footer);
-
-  // Close on click outside
-  const closeHandler = e => {
-    if (!popover.contains(e.target) && e.target.id !== 'spot-checker-btn') {
-      popover.remove();
-      document.removeEventListener('click', closeHandler);
-    }
-  };
-  setTimeout(() => document.addEventListener('click', closeHandler), 100);
-
-  document.body.appendChild(popover);
+  return scoreSection;
 }
 
 /**
@@ -398,52 +424,14 @@ function showError(message) {
 }
 
 /**
- * Calculate bot score
+ * Load the shared DOM helpers
+ * Content scripts can't use static imports, so the module is loaded on demand
  */
-function calculateBotScore(playlist) {
-  const factors = [];
-  let score = 0;
-
-  const followers = playlist.followers?.total || 0;
-  const tracks = playlist.tracks?.total || 0;
-
-  if (tracks > 0) {
-    const ratio = followers / tracks;
-    if (ratio < 10) {
-      factors.push({ label: 'Low follower ratio', level: 'warning' });
-      score += 15;
-    } else if (ratio > 10000) {
-      factors.push({ label: 'Suspiciously high ratio', level: 'danger' });
-      score += 25;
-    }
+async function loadDomUtils() {
+  if (!domUtilsModule) {
+    domUtilsModule = await import(browserAPI.runtime.getURL('lib/dom-utils.js'));
   }
-
-  if (!playlist.description || playlist.description.length < 10) {
-    factors.push({ label: 'No description', level: 'warning' });
-    score += 10;
-  }
-
-  if (followers > 1000 && followers % 1000 === 0) {
-    factors.push({ label: 'Round follower count', level: 'warning' });
-    score += 15;
-  }
-
-  const genericNames = ['chill', 'vibes', 'lofi', 'study', 'sleep', 'workout'];
-  const nameLower = playlist.name.toLowerCase();
-  if (genericNames.some(n => nameLower.includes(n)) && followers > 50000) {
-    factors.push({ label: 'Generic name pattern', level: 'warning' });
-    score += 10;
-  }
-
-  let level = 'low';
-  if (score >= 50) level = 'high';
-  else if (score >= 25) level = 'medium';
-
-  if (factors.length === 0) {
-    factors.push({ label: 'No red flags', level: '' });
-  }
-
-  return { score: Math.min(score, 100), level, factors };
+  return domUtilsModule;
 }
 
 /**
@@ -721,6 +709,22 @@ function injectStyles() {
     .spot-checker-branding:hover {
       color: #1DB954;
     }
+    .spot-checker-popover-age {
+      margin-top: 6px;
+      font-size: 11px;
+      color: #727272;
+    }
+    .spot-checker-refresh {
+      padding: 0;
+      background: none;
+      border: none;
+      font-size: 11px;
+      color: #1DB954;
+      cursor: pointer;
+    }
+    .spot-checker-refresh:hover {
+      text-decoration: underline;
+    }
     .spot-checker-error {
       position: fixed;
       bottom: 160px;
@@ -0,0 +1,132 @@
+/**
+ * Playlist Alerts
+ * User-defined rules checked against each tracked playlist after a sync,
+ * comparing the stored state with what the sync found
+ */
+
+import { Storage } from './storage.js';
+
+// Available rule types, with their defaults
+const RULE_TYPES = [
+  {
+    id: 'follower-drop',
+    label: 'Followers drop by more than',
+    unit: '%',
+    enabled: true,
+    threshold: 10,
+  },
+  {
+    id: 'unavailable',
+    label: 'Playlist goes private or is removed',
+    enabled: true,
+  },
+  {
+    id: 'track-count',
+    label: 'Track count changes',
+    enabled: false,
+  },
+  {
+    id: 'renamed',
+    label: 'Curator renames the playlist',
+    enabled: true,
+  },
+];
+
+// Checks per rule type: (previous, current, rule) => message or null
+const CHECKS = {
+  'follower-drop'(previous, current, rule) {
+    if (!(previous.followers > 0) || typeof current.followers !== 'number') return null;
+
+    const dropPercent = ((previous.followers - current.followers) / previous.followers) * 100;
+    if (dropPercent <= rule.threshold) return null;
+
+    return {
+      title: 'Followers dropped',
+      message: `${current.name} lost ${(previous.followers - current.followers).toLocaleString()} followers (${dropPercent.toFixed(1)}%) since the last check.`,
+    };
+  },
+
+  unavailable(previous, current) {
+    if (current.unavailable && !previous.unavailable) {
+      return {
+        title: 'Playlist unavailable',
+        message: `${current.name} is private or has been removed from Spotify.`,
+      };
+    }
+    if (previous.public === true && current.public === false) {
+      return {
+        title: 'Playlist made private',
+        message: `${current.name} is no longer public.`,
+      };
+    }
+    return null;
+  },
+
+  'track-count'(previous, current) {
+    if (typeof previous.trackCount !== 'number' || typeof current.trackCount !== 'number') {
+      return null;
+    }
+    if (previous.trackCount === current.trackCount) return null;
+
+    const diff = current.trackCount - previous.trackCount;
+    return {
+      title: 'Track count changed',
+      message: `${current.name} now has ${current.trackCount} tracks (${diff > 0 ? '+' : ''}${diff}).`,
+    };
+  },
+
+  renamed(previous, current) {
+    if (!previous.name || !current.name || previous.name === current.name) return null;
+
+    return {
+      title: 'Playlist renamed',
+      message: `"${previous.name}" is now called "${current.name}".`,
+    };
+  },
+};
+
+export const Alerts = {
+  /**
+   * Get alert rules, with defaults for types the user hasn't changed
+   * @returns {Promise<Array<{id: string, enabled: boolean, threshold?: number}>>}
+   */
+  async getRules() {
+    const stored = await Storage.getAlertRules();
+    return RULE_TYPES.map(type => {
+      const saved = stored.find(r => r.id === type.id) || {};
+      const rule = { id: type.id, enabled: saved.enabled ?? type.enabled };
+      if ('threshold' in type) rule.threshold = saved.threshold ?? type.threshold;
+      return rule;
+    });
+  },
+
+  /**
+   * Update one rule
+   * @param {string} id
+   * @param {Object} changes - { enabled, threshold }
+   * @returns {Promise<void>}
+   */
+  async updateRule(id, changes) {
+    const rules = await this.getRules();
+    await Storage.setAlertRules(rules.map(r => (r.id === id ? { ...r, ...changes } : r)));
+  },
+
+  /**
+   * Alerts raised by a playlist's change
+   * @param {Object} previous - Tracked playlist before the sync
+   * @param {Object} current - Tracked playlist after the sync
+   * @param {Array<Object>} rules - From getRules
+   * @returns {Array<{ruleId: string, playlistId: string, title: string, message: string}>}
+   */
+  evaluate(previous, current, rules) {
+    return rules
+      .filter(rule => rule.enabled && CHECKS[rule.id])
+      .map(rule => {
+        const alert = CHECKS[rule.id](previous, current, rule);
+        return alert && { ...alert, ruleId: rule.id, playlistId: current.id };
+      })
+      .filter(Boolean);
+  },
+};
+
+export { RULE_TYPES as ALERT_RULE_TYPES };
@@ -0,0 +1,114 @@
+/**
+ * Follower Anomaly Detection
+ * Scans a tracked playlist's follower history for the patterns bought
+ * followers leave behind: step spikes (often followed by slow decay),
+ * mass unfollows and growth that is too regular to be organic
+ */
+
+import { FollowerTrend } from './follower-trend.js';
+
+// Detection configuration
+const CONFIG = {
+  WINDOW_DAYS: 90, // History analysed on each run
+  DECAY_DAYS: 14, // Days after a spike checked for decay
+  DECAY_SHARE: 0.2, // Share of a spike lost afterwards that counts as decay
+  MASS_UNFOLLOW_PERCENT: 5, // Daily loss flagged even when the playlist is volatile
+  OUTLIER_UNFOLLOW_PERCENT: 2.5, // Daily loss flagged when it is also an outlier (not slow decay)
+  MIN_UNFOLLOWS: 50, // Followers lost in a day below which nothing is flagged
+  LINEAR_MIN_DAYS: 14, // Consecutive daily readings needed to judge regularity
+  LINEAR_MIN_PER_DAY: 20, // Average daily growth below which regularity is ignored
+  LINEAR_MAX_VARIATION: 0.05, // Coefficient of variation of daily growth that is suspicious
+  MAX_EVENTS: 5, // Most recent events kept per finding
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const Anomaly = {
+  /**
+   * Analyse follower history
+   * @param {Array<{followers: number, timestamp: number}>} history - Any order
+   * @returns {Object} - { analysedAt, days, growthOutliers, massUnfollows, linearGrowth }
+   */
+  detect(history) {
+    const since = this.windowStart();
+    const daily = FollowerTrend.toDaily(history.filter(h => h.timestamp >= since));
+    const deltas = FollowerTrend.markAnomalies(FollowerTrend.getDeltas(daily));
+
+    return {
+      analysedAt: Date.now(),
+      days: daily.length,
+      growthOutliers: this.findSpikes(daily, deltas),
+      massUnfollows: this.findMassUnfollows(deltas),
+      linearGrowth: this.findLinearGrowth(deltas),
+    };
+  },
+
+  /**
+   * Earliest reading detect looks at (fetch history from here)
+   * @returns {number} - Timestamp
+   */
+  windowStart() {
+    return Date.now() - CONFIG.WINDOW_DAYS * DAY_MS;
+  },
+
+  /**
+   * Growth outliers, noting which were followed by decay
+   * @param {Array} daily - Oldest first
+   * @param {Array} deltas - Marked deltas, oldest first
+   * @returns {Array<{timestamp: number, change: number, percent: number, decayed: boolean}>}
+   */
+  findSpikes(daily, deltas) {
+    return deltas
+      .filter(d => d.anomaly === 'jump')
+      .map(d => {
+        const after = daily.filter(
+          p => p.timestamp > d.timestamp && p.timestamp <= d.timestamp + CONFIG.DECAY_DAYS * DAY_MS
+        );
+        const lowest = Math.min(...after.map(p => p.followers));
+        const decayed = after.length > 0 && d.followers - lowest >= d.change * CONFIG.DECAY_SHARE;
+
+        return { timestamp: d.timestamp, change: d.change, percent: d.percent, decayed };
+      })
+      .slice(-CONFIG.MAX_EVENTS);
+  },
+
+  /**
+   * Sudden losses: outliers for this playlist, or large in absolute terms
+   * @param {Array} deltas - Marked deltas, oldest first
+   * @returns {Array<{timestamp: number, change: number, percent: number}>}
+   */
+  findMassUnfollows(deltas) {
+    return deltas
+      .filter(
+        d =>
+          d.change <= -CONFIG.MIN_UNFOLLOWS &&
+          (d.percent <= -CONFIG.MASS_UNFOLLOW_PERCENT ||
+            (d.anomaly === 'drop' && d.percent <= -CONFIG.OUTLIER_UNFOLLOW_PERCENT))
+      )
+      .map(d => ({ timestamp: d.timestamp, change: d.change, percent: d.percent }))
+      .slice(-CONFIG.MAX_EVENTS);
+  },
+
+  /**
+   * Near-constant daily growth over the latest run of consecutive days
+   * @param {Array} deltas - Oldest first
+   * @returns {{perDay: number, days: number, variation: number}|null}
+   */
+  findLinearGrowth(deltas) {
+    // Latest unbroken run of day-to-day readings
+    const run = [];
+    for (let i = deltas.length - 1; i >= 0 && deltas[i].days === 1; i--) {
+      run.push(deltas[i].change);
+    }
+    if (run.length < CONFIG.LINEAR_MIN_DAYS) return null;
+
+    const mean = run.reduce((sum, c) => sum + c, 0) / run.length;
+    if (mean < CONFIG.LINEAR_MIN_PER_DAY) return null;
+
+    const variance = run.reduce((sum, c) => sum + (c - mean) ** 2, 0) / run.length;
+    const variation = Math.sqrt(variance) / mean;
+    if (variation > CONFIG.LINEAR_MAX_VARIATION) return null;
+
+    return { perDay: Math.round(mean), days: run.length, variation };
+  },
+};
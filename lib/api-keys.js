@@ -0,0 +1,181 @@
+/**
+ * API Keys (Pro)
+ * Keys for the local API, kept in extension storage, with requests metered
+ * against the tier's daily limit through the API usage counters
+ * Only the background script writes keys and the log (the popup goes through the
+ * CREATE_API_KEY, REVOKE_API_KEY and CLEAR_API_LOG messages), so one queue orders every write
+ */
+
+import { Storage } from './storage.js';
+import { Premium } from './premium.js';
+
+// Key and log configuration
+const CONFIG = {
+  PREFIX: 'sc_live_',
+  KEY_BYTES: 24, // Random bytes per key (48 hex characters)
+  VISIBLE_CHARS: 4, // Trailing characters shown when a key is masked
+  LOG_SIZE: 100, // Requests kept in the log
+};
+
+// Key, counter and log writes are read-modify-write, so run them one at a time
+// (a queue only orders writes within one context, hence the background-only writes)
+let queue = Promise.resolve();
+
+export const ApiKeys = {
+  /**
+   * Get active API keys
+   * @returns {Promise<Array<{id: string, name: string, key: string, createdAt: number, lastUsedAt: number|null}>>}
+   */
+  async list() {
+    return await Storage.getApiKeys();
+  },
+
+  /**
+   * Generate a new key
+   * @param {string} name - Label shown in settings
+   * @returns {Promise<Object>} - The new key record
+   */
+  async create(name = '') {
+    if (!(await Premium.hasFeature('api'))) {
+      throw new Error('API access is part of Pro');
+    }
+
+    const bytes = crypto.getRandomValues(new Uint8Array(CONFIG.KEY_BYTES));
+    return enqueue(async () => {
+      const keys = await this.list();
+      const record = {
+        id: `key-${Date.now()}`,
+        name: name.trim() || `Key ${keys.length + 1}`,
+        key: CONFIG.PREFIX + [...bytes].map(b => b.toString(16).padStart(2, '0')).join(''),
+        createdAt: Date.now(),
+        lastUsedAt: null,
+      };
+      await Storage.setApiKeys([...keys, record]);
+      return record;
+    });
+  },
+
+  /**
+   * Revoke a key (requests using it are rejected from then on)
+   * @param {string} keyId
+   * @returns {Promise<void>}
+   */
+  revoke(keyId) {
+    return enqueue(async () => {
+      const keys = await this.list();
+      await Storage.setApiKeys(keys.filter(k => k.id !== keyId));
+    });
+  },
+
+  /**
+   * Key with all but its last few characters hidden
+   * @param {string} key
+   * @returns {string}
+   */
+  mask(key) {
+    return `${CONFIG.PREFIX}${'•'.repeat(8)}${key.slice(-CONFIG.VISIBLE_CHARS)}`;
+  },
+
+  /**
+   * Authorise and meter one API request
+   * Throws with error.status 401 (bad key), 403 (not Pro) or 429 (daily limit reached),
+   * or the status check throws with (default 400); failed requests aren't counted
+   * @param {string} key - Key sent with the request
+   * @param {string} endpoint - Name of the requested operation, for the log
+   * @param {function(): Promise<void>} check - Optional request check, run once the key is accepted
+   * @returns {Promise<{keyId: string, remaining: number}>}
+   */
+  meter(key, endpoint, check = null) {
+    return enqueue(async () => {
+      const keys = await this.list();
+      const record = typeof key === 'string' ? keys.find(k => k.key === key) : null;
+
+      let failure = null;
+      let usage = null;
+      if (!record) {
+        failure = { status: 401, message: 'Invalid API key' };
+      } else if (!(await Premium.hasFeature('api'))) {
+        failure = { status: 403, message: 'API access is part of Pro' };
+      } else {
+        usage = await Premium.canPerform('api');
+        if (!usage.allowed) {
+          failure = { status: 429, message: 'Daily API limit reached' };
+        }
+      }
+
+      if (!failure && check) {
+        try {
+          await check();
+        } catch (error) {
+          failure = { status: error.status || 400, message: error.message };
+        }
+      }
+
+      const entry = {
+        at: Date.now(),
+        keyId: record?.id || null,
+        keyName: record?.name || null,
+        endpoint,
+        ok: !failure,
+        status: failure ? failure.status : 200,
+      };
+      await Storage.setApiLog([entry, ...(await Storage.getApiLog())].slice(0, CONFIG.LOG_SIZE));
+
+      if (failure) {
+        const error = new Error(failure.message);
+        error.status = failure.status;
+        throw error;
+      }
+
+      await Storage.incrementApiDailyUsage();
+      await Storage.setApiKeys(
+        keys.map(k => (k.id === record.id ? { ...k, lastUsedAt: entry.at } : k))
+      );
+      return { keyId: record.id, remaining: usage.remaining - 1 };
+    });
+  },
+
+  /**
+   * Give back a metered request whose response was never delivered (it timed out)
+   * @returns {Promise<void>}
+   */
+  refund() {
+    return enqueue(() => Storage.decrementApiDailyUsage());
+  },
+
+  /**
+   * Today's usage against the tier's limit
+   * @returns {Promise<{used: number, limit: number, remaining: number}>}
+   */
+  async getUsage() {
+    const limits = await Premium.getLimits();
+    const used = await Storage.getApiDailyUsage();
+    const limit = limits.api ? limits.apiDailyLimit : 0;
+    return { used, limit, remaining: Math.max(0, limit - used) };
+  },
+
+  /**
+   * Get the request log (newest first)
+   * @returns {Promise<Array<{at: number, keyId: string|null, keyName: string|null, endpoint: string, ok: boolean, status: number}>>}
+   */
+  async getLog() {
+    return await Storage.getApiLog();
+  },
+
+  /**
+   * Clear the request log
+   * @returns {Promise<void>}
+   */
+  clearLog() {
+    return enqueue(() => Storage.setApiLog([]));
+  },
+};
+
+/**
+ * Run a storage update after the ones before it
+ */
+function enqueue(work) {
+  const run = queue.catch(() => {}).then(work);
+  queue = run;
+  return run;
+}
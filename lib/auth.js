@@ -0,0 +1,273 @@
+/**
+ * Sign-in
+ * Signs an existing account in on this browser, either through the browser's
+ * web auth flow (identity.launchWebAuthFlow) or an emailed magic link, then
+ * hands the account to Premium.signIn to activate its plan and sync its data
+ */
+
+import { Storage } from './storage.js';
+import { Premium } from './premium.js';
+
+// Cross-browser API
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// Sign-in configuration
+const CONFIG = {
+  AUTH_URL: 'https://spot-checker.totalaudiopromo.com/auth/extension',
+  EXCHANGE_URL: 'https://spot-checker.totalaudiopromo.com/api/auth/exchange',
+  MAGIC_LINK_URL: 'https://spot-checker.totalaudiopromo.com/api/auth/magic-link',
+  MAGIC_LINK_STATUS_URL: 'https://spot-checker.totalaudiopromo.com/api/auth/magic-link/status',
+  MAGIC_LINK_TTL: 15 * 60 * 1000, // How long a link stays valid if the backend doesn't say
+};
+
+// Pending magic link check, shared by the popup's poll and the background alarm
+let checkRun = null;
+
+// Magic link states (as reported by checkMagicLink)
+const STATES = {
+  NONE: 'none', // No sign-in pending
+  PENDING: 'pending', // Link sent, not opened yet
+  SIGNED_IN: 'signed_in', // Link opened; the account is signed in
+  EXPIRED: 'expired', // Link expired unopened
+  FAILED: 'failed', // Link opened, but the backend turned the sign-in down
+};
+
+export const Auth = {
+  /**
+   * Whether this browser supports the web auth flow (Safari doesn't; use a magic link)
+   * @returns {boolean}
+   */
+  canUseWebAuthFlow() {
+    return typeof browserAPI.identity?.launchWebAuthFlow === 'function';
+  },
+
+  /**
+   * Sign in through the browser's auth window
+   * Run it from the background script: the popup closes when the auth window opens
+   * Throws with error.code AUTH_UNSUPPORTED, AUTH_CANCELLED or AUTH_FAILED
+   * @returns {Promise<{email: string}>}
+   */
+  async signInWithWebAuthFlow() {
+    if (!this.canUseWebAuthFlow()) {
+      throw authError(400, 'AUTH_UNSUPPORTED', 'This browser signs in with an email link');
+    }
+
+    const redirectUri = browserAPI.identity.getRedirectURL('auth');
+    const state = randomToken();
+    const url = `${CONFIG.AUTH_URL}?${new URLSearchParams({
+      redirect_uri: redirectUri,
+      state,
+      install_id: await Storage.getInstallId(),
+    })}`;
+
+    let redirect;
+    try {
+      redirect = await browserAPI.identity.launchWebAuthFlow({ url, interactive: true });
+    } catch (error) {
+      throw authError(401, 'AUTH_CANCELLED', 'Sign-in was cancelled');
+    }
+
+    // The backend returns the code in the fragment (or the query string)
+    const result = new URL(redirect);
+    const params = new URLSearchParams(result.hash.slice(1) || result.search.slice(1));
+    if (params.get('state') !== state) {
+      throw authError(401, 'AUTH_FAILED', 'Sign-in response did not match this request');
+    }
+    if (params.get('error') || !params.get('code')) {
+      throw authError(401, 'AUTH_FAILED', params.get('error_description') || 'Sign-in failed');
+    }
+
+    return this.exchange(params.get('code'), redirectUri);
+  },
+
+  /**
+   * Email a sign-in link; checkMagicLink finishes signing in once it's opened
+   * Throws with error.code AUTH_INVALID_EMAIL or AUTH_FAILED
+   * @param {string} email
+   * @returns {Promise<{email: string, expiresAt: number}>}
+   */
+  async requestMagicLink(email) {
+    const address = String(email || '')
+      .trim()
+      .toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+      throw authError(400, 'AUTH_INVALID_EMAIL', 'Enter a valid email address');
+    }
+
+    const { requestId, expiresAt } = await post(CONFIG.MAGIC_LINK_URL, {
+      email: address,
+      installId: await Storage.getInstallId(),
+    });
+    if (!requestId) {
+      throw authError(502, 'AUTH_FAILED', 'Could not send a sign-in link');
+    }
+
+    const pending = {
+      requestId,
+      email: address,
+      expiresAt: expiresAt || Date.now() + CONFIG.MAGIC_LINK_TTL,
+    };
+    await Storage.setPendingSignIn(pending);
+    return { email: pending.email, expiresAt: pending.expiresAt };
+  },
+
+  /**
+   * Check whether the pending magic link has been opened, and sign in if so
+   * Concurrent calls share one check, so a link is only ever exchanged once
+   * @returns {Promise<{state: string, email: string|null}>} - state is one of STATES
+   */
+  checkMagicLink() {
+    if (!checkRun) {
+      checkRun = this.runMagicLinkCheck().finally(() => {
+        checkRun = null;
+      });
+    }
+    return checkRun;
+  },
+
+  /**
+   * Ask the backend about the pending magic link
+   * The request (and its code, once verified) stays pending until the exchange succeeds,
+   * so an offline or backend error is retried on the next check
+   * @returns {Promise<{state: string, email: string|null, error?: string}>}
+   */
+  async runMagicLinkCheck() {
+    const pending = await Storage.getPendingSignIn();
+    if (!pending) {
+      return { state: STATES.NONE, email: null };
+    }
+    if (Date.now() > pending.expiresAt) {
+      await Storage.setPendingSignIn(null);
+      return { state: STATES.EXPIRED, email: pending.email };
+    }
+
+    let code = pending.code;
+    if (!code) {
+      const result = await post(CONFIG.MAGIC_LINK_STATUS_URL, {
+        requestId: pending.requestId,
+        installId: await Storage.getInstallId(),
+      });
+
+      if (result.status === 'expired') {
+        await Storage.setPendingSignIn(null);
+        return { state: STATES.EXPIRED, email: pending.email };
+      }
+      if (result.status !== 'verified') {
+        return { state: STATES.PENDING, email: pending.email };
+      }
+
+      // The code is single-use and the status endpoint may not hand it out again
+      code = result.code;
+      await Storage.setPendingSignIn({ ...pending, code });
+    }
+
+    let account;
+    try {
+      account = await this.exchange(code);
+    } catch (error) {
+      // A rejected code won't work next time either; anything else is retried
+      if (error.status >= 400 && error.status < 500) {
+        await Storage.setPendingSignIn(null);
+        return { state: STATES.FAILED, email: pending.email, error: error.message };
+      }
+      throw error;
+    }
+
+    await Storage.setPendingSignIn(null);
+    return { state: STATES.SIGNED_IN, email: account.email };
+  },
+
+  /**
+   * Get the magic link sign-in waiting to be confirmed
+   * @returns {Promise<{email: string, expiresAt: number}|null>}
+   */
+  async getPendingSignIn() {
+    const pending = await Storage.getPendingSignIn();
+    if (!pending || Date.now() > pending.expiresAt) return null;
+    return { email: pending.email, expiresAt: pending.expiresAt };
+  },
+
+  /**
+   * Stop waiting for a magic link
+   * @returns {Promise<void>}
+   */
+  async cancelMagicLink() {
+    await Storage.setPendingSignIn(null);
+  },
+
+  /**
+   * Swap a sign-in code for the account and sign it in
+   * @param {string} code
+   * @param {string|null} redirectUri - The auth window's redirect URI (magic links have none)
+   * @returns {Promise<{email: string}>}
+   */
+  async exchange(code, redirectUri = null) {
+    if (!code) {
+      throw authError(502, 'AUTH_FAILED', 'Sign-in response was incomplete');
+    }
+
+    const account = await post(CONFIG.EXCHANGE_URL, {
+      code,
+      redirectUri,
+      installId: await Storage.getInstallId(),
+    });
+    return this.complete(account);
+  },
+
+  /**
+   * Store the backend session and sign the account in
+   * @param {Object} account - { email, subscriptionId, session, entitlement }
+   * @returns {Promise<{email: string}>}
+   */
+  async complete(account) {
+    if (!account?.email || !account.session) {
+      throw authError(502, 'AUTH_FAILED', 'Sign-in response was incomplete');
+    }
+
+    await Storage.setAuthSession(account.session);
+    await Premium.signIn(account);
+    return { email: account.email };
+  },
+};
+
+/**
+ * POST JSON to the backend and return the JSON reply
+ */
+async function post(url, body) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  } catch (error) {
+    throw authError(503, 'AUTH_FAILED', 'Could not reach Spot Checker. Check your connection.');
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw authError(response.status, 'AUTH_FAILED', data.error || 'Sign-in failed');
+  }
+  return data;
+}
+
+/**
+ * Random hex string for the auth request's state parameter
+ */
+function randomToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Error carrying an HTTP-style status and a code callers can match on
+ */
+function authError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+export { STATES as SIGN_IN_STATES };
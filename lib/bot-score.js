@@ -0,0 +1,389 @@
+/**
+ * Bot Score Engine
+ * Shared rule registry used by the popup and the in-page popover
+ * Rules are grouped by scope: 'playlist' (default) and 'curator'
+ */
+
+// Score thresholds for each risk level
+const LEVELS = {
+  HIGH: 50,
+  MEDIUM: 25,
+};
+
+// Generic names commonly used by bot farms
+const GENERIC_NAMES = ['chill', 'vibes', 'lofi', 'study', 'sleep', 'workout'];
+
+// Registered rules, in evaluation order
+const rules = [];
+
+export const BotScore = {
+  /**
+   * Register a scoring rule
+   * A rule's test returns true when it fires, or an object to override
+   * the label/explanation/weight for this subject
+   * @param {Object} rule - { id, scope, label, weight, level, explanation, test(subject, context) }
+   */
+  registerRule(rule) {
+    if (!rule?.id || typeof rule.test !== 'function') {
+      throw new Error('Bot score rules need an id and a test function');
+    }
+
+    const existingIndex = rules.findIndex(r => r.id === rule.id);
+    if (existingIndex >= 0) {
+      rules[existingIndex] = rule;
+    } else {
+      rules.push(rule);
+    }
+  },
+
+  /**
+   * Remove a registered rule
+   * @param {string} id
+   */
+  unregisterRule(id) {
+    const index = rules.findIndex(r => r.id === id);
+    if (index >= 0) rules.splice(index, 1);
+  },
+
+  /**
+   * Get registered rules
+   * @param {string} scope - Optional scope filter
+   * @returns {Array<Object>}
+   */
+  getRules(scope = null) {
+    return rules.filter(r => !scope || (r.scope || 'playlist') === scope);
+  },
+
+  /**
+   * Calculate bot score for a playlist (or another subject, see scope)
+   * @param {Object} subject - Spotify playlist object, or curator profile for 'curator'
+   * @param {Object} context - Extra data available to rules
+   * @param {string} scope - Which rules to run
+   * @returns {{score: number, level: string, factors: Array<Object>}}
+   */
+  calculate(subject, context = {}, scope = 'playlist') {
+    const factors = [];
+    let score = 0;
+
+    for (const rule of this.getRules(scope)) {
+      let result;
+      try {
+        result = rule.test(subject, context);
+      } catch (error) {
+        console.error('Bot score rule failed:', rule.id, error);
+        continue;
+      }
+
+      if (!result) continue;
+
+      const overrides = typeof result === 'object' ? result : {};
+      const factor = {
+        id: rule.id,
+        label: overrides.label || rule.label,
+        level: overrides.level || rule.level,
+        weight: overrides.weight ?? rule.weight,
+        explanation: overrides.explanation || rule.explanation,
+      };
+
+      factors.push(factor);
+      score += factor.weight;
+    }
+
+    score = Math.min(score, 100);
+
+    // Add positive factor if low risk
+    if (factors.length === 0) {
+      factors.push({
+        id: 'no-red-flags',
+        label: 'No red flags detected',
+        level: '',
+        weight: 0,
+        explanation: `None of the bot detection rules matched this ${scope}.`,
+      });
+    }
+
+    return { score, level: this.getLevel(score), factors };
+  },
+
+  /**
+   * Map a score to a risk level
+   * @param {number} score
+   * @returns {string} - 'low', 'medium' or 'high'
+   */
+  getLevel(score) {
+    if (score >= LEVELS.HIGH) return 'high';
+    if (score >= LEVELS.MEDIUM) return 'medium';
+    return 'low';
+  },
+};
+
+/**
+ * Get followers and track totals from a playlist
+ */
+function getCounts(playlist) {
+  return {
+    followers: playlist.followers?.total || 0,
+    tracks: playlist.tracks?.total || 0,
+  };
+}
+
+// Default rules
+
+BotScore.registerRule({
+  id: 'low-follower-ratio',
+  label: 'Low follower ratio',
+  weight: 15,
+  level: 'warning',
+  explanation: 'Fewer than 10 followers per track suggests the playlist has little real audience.',
+  test(playlist) {
+    const { followers, tracks } = getCounts(playlist);
+    return tracks > 0 && followers / tracks < 10;
+  },
+});
+
+BotScore.registerRule({
+  id: 'high-follower-ratio',
+  label: 'Suspiciously high ratio',
+  weight: 25,
+  level: 'danger',
+  explanation: 'More than 10,000 followers per track is typical of purchased followers.',
+  test(playlist) {
+    const { followers, tracks } = getCounts(playlist);
+    return tracks > 0 && followers / tracks > 10000;
+  },
+});
+
+BotScore.registerRule({
+  id: 'new-high-followers',
+  label: 'New playlist, high followers',
+  weight: 30,
+  level: 'danger',
+  explanation:
+    'Over 10,000 followers when every track was added in the last 30 days is rarely organic.',
+  test(playlist) {
+    // Only known when the lookup returned every track (see SpotifyAPI.getPlaylist)
+    const firstAdded = playlist.tracks?.firstAddedAt;
+    if (!firstAdded) return false;
+
+    const daysSinceFirstAdd = Math.floor((Date.now() - firstAdded) / (1000 * 60 * 60 * 24));
+    return daysSinceFirstAdd < 30 && getCounts(playlist).followers > 10000;
+  },
+});
+
+BotScore.registerRule({
+  id: 'generic-name',
+  label: 'Generic name pattern',
+  weight: 10,
+  level: 'warning',
+  explanation: 'Large playlists with generic mood names are a common bot farm pattern.',
+  test(playlist) {
+    const nameLower = (playlist.name || '').toLowerCase();
+    return GENERIC_NAMES.some(n => nameLower.includes(n)) && getCounts(playlist).followers > 50000;
+  },
+});
+
+BotScore.registerRule({
+  id: 'no-description',
+  label: 'No description',
+  weight: 10,
+  level: 'warning',
+  explanation: 'Genuine curators usually describe their playlist.',
+  test(playlist) {
+    return !playlist.description || playlist.description.length < 10;
+  },
+});
+
+BotScore.registerRule({
+  id: 'round-followers',
+  label: 'Round follower count',
+  weight: 15,
+  level: 'warning',
+  explanation: 'An exact multiple of 1,000 followers often points to a purchased follower package.',
+  test(playlist) {
+    const { followers } = getCounts(playlist);
+    return followers > 1000 && followers % 1000 === 0;
+  },
+});
+
+// Track-level rules (deep scan - context.trackAnalysis from TrackAnalysis.analyse)
+
+BotScore.registerRule({
+  id: 'mass-adds',
+  label: 'Mass track adds',
+  weight: 20,
+  level: 'danger',
+  explanation:
+    'A large share of tracks was added within a single hour, typical of paid placement batches.',
+  test(playlist, { trackAnalysis }) {
+    const massAdd = trackAnalysis?.massAdd;
+    if (!massAdd || massAdd.count < 20 || massAdd.share < 0.3) return false;
+
+    return { label: `${Math.round(massAdd.share * 100)}% added in one hour` };
+  },
+});
+
+BotScore.registerRule({
+  id: 'label-concentration',
+  label: 'Single label dominates',
+  weight: 15,
+  level: 'warning',
+  explanation:
+    'Most tracks come from one record label, which suggests a pay-for-placement playlist.',
+  test(playlist, { trackAnalysis }) {
+    const topLabel = trackAnalysis?.topLabel;
+    if (!topLabel?.name || topLabel.sampled < 10 || topLabel.share < 0.4) return false;
+
+    return {
+      label: `${Math.round(topLabel.share * 100)}% from ${topLabel.name}`,
+    };
+  },
+});
+
+BotScore.registerRule({
+  id: 'repeated-artist',
+  label: 'Repeated artist',
+  weight: 10,
+  level: 'warning',
+  explanation: 'One artist fills a large part of the playlist, a pattern used to farm streams.',
+  test(playlist, { trackAnalysis }) {
+    const topArtist = trackAnalysis?.topArtist;
+    if (!topArtist?.name || topArtist.sampled < 10 || topArtist.share < 0.25) return false;
+
+    return { label: `${topArtist.count} tracks by ${topArtist.name}` };
+  },
+});
+
+BotScore.registerRule({
+  id: 'filler-tracks',
+  label: 'Filler tracks',
+  weight: 20,
+  level: 'danger',
+  explanation: 'Very short or near-silent tracks exist mainly to generate cheap streams.',
+  test(playlist, { trackAnalysis }) {
+    const filler = trackAnalysis?.filler;
+    if (!filler || trackAnalysis.total < 10 || filler.share < 0.1) return false;
+
+    return { label: `${Math.round(filler.share * 100)}% short/silent tracks` };
+  },
+});
+
+// History rules (tracked playlists - context.historyAnomalies from Anomaly.detect)
+
+BotScore.registerRule({
+  id: 'history-growth-spike',
+  label: 'Follower spike',
+  weight: 25,
+  level: 'danger',
+  explanation:
+    "Followers jumped far beyond the playlist's usual daily growth, the step pattern left by purchased followers.",
+  test(playlist, { historyAnomalies }) {
+    const spikes = historyAnomalies?.growthOutliers || [];
+    if (spikes.length === 0) return false;
+
+    const decayed = spikes.filter(s => s.decayed).length;
+    if (decayed > 0) {
+      return {
+        label: `${spikes.length} follower ${spikes.length === 1 ? 'spike' : 'spikes'}, then decay`,
+        weight: 30,
+        explanation:
+          'Followers jumped suddenly and then slowly fell away, typical of bought followers being cleaned up or churning.',
+      };
+    }
+
+    return { label: `${spikes.length} follower ${spikes.length === 1 ? 'spike' : 'spikes'}` };
+  },
+});
+
+BotScore.registerRule({
+  id: 'history-mass-unfollow',
+  label: 'Mass unfollows',
+  weight: 20,
+  level: 'danger',
+  explanation:
+    'The playlist lost a large number of followers in a single day, often Spotify removing fake accounts.',
+  test(playlist, { historyAnomalies }) {
+    const drops = historyAnomalies?.massUnfollows || [];
+    if (drops.length === 0) return false;
+
+    const largest = Math.min(...drops.map(d => d.change));
+    return { label: `Lost ${Math.abs(largest).toLocaleString()} followers in a day` };
+  },
+});
+
+BotScore.registerRule({
+  id: 'history-linear-growth',
+  label: 'Suspiciously steady growth',
+  weight: 20,
+  level: 'warning',
+  explanation:
+    'Followers grew by almost the same amount every day. Real audiences grow unevenly; drip-fed bot followers do not.',
+  test(playlist, { historyAnomalies }) {
+    const linear = historyAnomalies?.linearGrowth;
+    if (!linear) return false;
+
+    return { label: `+${linear.perDay.toLocaleString()}/day for ${linear.days} days` };
+  },
+});
+
+// Curator rules (subject is a profile from CuratorAnalysis.buildProfile)
+
+BotScore.registerRule({
+  id: 'curator-few-followers',
+  scope: 'curator',
+  label: 'Curator has few followers',
+  weight: 20,
+  level: 'warning',
+  explanation: "The curator's playlists have far more followers than the curator's own profile.",
+  test(curator) {
+    return curator.followers < 10 && curator.totalPlaylistFollowers > 10000;
+  },
+});
+
+BotScore.registerRule({
+  id: 'curator-playlist-farm',
+  scope: 'curator',
+  label: 'Playlist farm',
+  weight: 15,
+  level: 'warning',
+  explanation: 'Curators running hundreds of public playlists are often selling placements.',
+  test(curator) {
+    if (curator.publicPlaylists < 100) return false;
+
+    return { label: `${curator.publicPlaylists} public playlists` };
+  },
+});
+
+BotScore.registerRule({
+  id: 'curator-uniform-followers',
+  scope: 'curator',
+  label: 'Uniform follower counts',
+  weight: 25,
+  level: 'danger',
+  explanation:
+    'Organic playlists vary widely in size; near-identical follower counts suggest they were bought.',
+  test(curator) {
+    const avgFollowers = curator.sampled ? curator.totalPlaylistFollowers / curator.sampled : 0;
+    return (
+      curator.sampled >= 4 &&
+      curator.followerSpread !== null &&
+      curator.followerSpread < 0.15 &&
+      avgFollowers > 1000
+    );
+  },
+});
+
+BotScore.registerRule({
+  id: 'curator-catalogue-pattern',
+  scope: 'curator',
+  label: 'Catalogue-wide bot pattern',
+  weight: 30,
+  level: 'danger',
+  explanation: "Most of the curator's other playlists also score medium or high bot risk.",
+  test(curator) {
+    if (curator.sampled < 3 || curator.flaggedShare < 0.5) return false;
+
+    return { label: `${Math.round(curator.flaggedShare * 100)}% of playlists flagged` };
+  },
+});
+
+export { LEVELS };
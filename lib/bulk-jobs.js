@@ -0,0 +1,248 @@
+/**
+ * Bulk Jobs
+ * Persistent queue of bulk playlist checks, run by the background script
+ * Progress is stored after every playlist so jobs survive the popup closing
+ * and resume after a service worker restart
+ */
+
+import { SpotifyAPI } from './spotify-api.js';
+import { BotScore } from './bot-score.js';
+import { Storage } from './storage.js';
+import { PlaylistCache } from './cache.js';
+import { Metering } from './metering.js';
+
+// Job configuration
+const CONFIG = {
+  WORKERS: 4, // Playlists checked in parallel per job (the API client also limits)
+};
+
+// Job statuses
+const STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  CANCELLED: 'cancelled',
+};
+
+// Job currently being processed in this context
+let activeJob = null;
+let processing = null;
+
+// Job writes read-modify-write one storage key, so run them one at a time
+let saveQueue = Promise.resolve();
+
+export const BulkJobs = {
+  /**
+   * Queue a bulk check
+   * Finished jobs are dropped so storage only holds the latest results
+   * @param {Array<{url: string, extra: Object}>} entries
+   * @param {Array<string>} headers - Spreadsheet columns carried through
+   * @returns {Promise<Object>} - The new job
+   */
+  async create(entries, headers = []) {
+    const job = {
+      id: `job-${Date.now()}`,
+      status: STATUS.QUEUED,
+      createdAt: Date.now(),
+      finishedAt: null,
+      headers,
+      completed: 0,
+      items: entries.map(({ url, extra }) => ({ url, extra: extra || {}, result: null })),
+    };
+
+    await this.update(jobs => [...jobs.filter(j => !this.isFinished(j)), job]);
+    return job;
+  },
+
+  /**
+   * Get the most recently created job
+   * @returns {Promise<Object|null>}
+   */
+  async getLatest() {
+    const jobs = await Storage.getBulkJobs();
+    return jobs[jobs.length - 1] || null;
+  },
+
+  /**
+   * Whether a job has stopped for good
+   * @param {Object} job
+   * @returns {boolean}
+   */
+  isFinished(job) {
+    return job.status === STATUS.DONE || job.status === STATUS.CANCELLED;
+  },
+
+  /**
+   * Cancel a queued or running job (results so far are kept)
+   * @param {string} jobId
+   * @returns {Promise<void>}
+   */
+  async cancel(jobId) {
+    if (activeJob?.id === jobId) {
+      activeJob.status = STATUS.CANCELLED;
+      activeJob.finishedAt = Date.now();
+    }
+
+    await this.update(jobs =>
+      jobs.map(j =>
+        j.id === jobId && !this.isFinished(j)
+          ? { ...j, status: STATUS.CANCELLED, finishedAt: Date.now() }
+          : j
+      )
+    );
+  },
+
+  /**
+   * Run queued jobs (and resume interrupted ones) until the queue is empty
+   * Safe to call repeatedly - only one run happens at a time
+   * @param {Object} hooks - { onProgress(job), onComplete(job) }
+   * @returns {Promise<void>}
+   */
+  process(hooks = {}) {
+    if (!processing) {
+      processing = this.runQueue(hooks).finally(() => {
+        processing = null;
+      });
+    }
+    return processing;
+  },
+
+  /**
+   * Whether any job still needs processing
+   * @returns {Promise<boolean>}
+   */
+  async hasPending() {
+    const jobs = await Storage.getBulkJobs();
+    return jobs.some(j => !this.isFinished(j));
+  },
+
+  /**
+   * Process jobs one after another
+   * @param {Object} hooks
+   * @returns {Promise<void>}
+   */
+  async runQueue(hooks) {
+    for (;;) {
+      const jobs = await Storage.getBulkJobs();
+      const job = jobs.find(j => !this.isFinished(j));
+      if (!job) return;
+
+      await this.runJob(job, hooks);
+    }
+  },
+
+  /**
+   * Check every unfinished playlist of a job, storing progress as it goes
+   * @param {Object} job
+   * @param {Object} hooks
+   * @returns {Promise<void>}
+   */
+  async runJob(job, hooks) {
+    activeJob = job;
+    job.status = STATUS.RUNNING;
+    await this.save(job);
+
+    const pending = job.items.filter(item => !item.result);
+    let cursor = 0;
+
+    const worker = async () => {
+      while (job.status === STATUS.RUNNING && cursor < pending.length) {
+        const item = pending[cursor++];
+        item.result = await this.checkEntry(item.url);
+        job.completed = job.items.filter(i => i.result).length;
+
+        await this.save(job);
+        hooks.onProgress?.(job);
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: CONFIG.WORKERS }, worker));
+
+      if (job.status === STATUS.RUNNING) {
+        job.status = STATUS.DONE;
+        job.finishedAt = Date.now();
+        await this.save(job);
+        hooks.onComplete?.(job);
+      }
+    } finally {
+      activeJob = null;
+    }
+  },
+
+  /**
+   * Check a single bulk entry
+   * Recently checked playlists come from the cache for free; other lookups use a
+   * check, given back if the lookup fails
+   * @param {string} url
+   * @param {Object} options - { signal: stops charging once aborted (see Metering.meterCheck) }
+   * @returns {Promise<Object>} - Playlist with botData, or { error, url }
+   */
+  async checkEntry(url, { signal = null } = {}) {
+    const id = SpotifyAPI.extractPlaylistId(url);
+    if (!id) return { error: 'Invalid URL', url };
+
+    try {
+      const cached = await PlaylistCache.get(id);
+      const playlist = cached
+        ? cached.data
+        : (
+            await Metering.meterCheck(() => PlaylistCache.getPlaylist(id, { refresh: true }), {
+              signal,
+            })
+          ).data;
+      const tracked = await Storage.getTrackedPlaylist(id);
+      const botData = BotScore.calculate(playlist, {
+        historyAnomalies: tracked?.historyAnomalies,
+      });
+      return { ...playlist, botData };
+    } catch (e) {
+      const error = e.status === 429 ? 'Rate limited by Spotify, try again later' : e.message;
+      return { error, url };
+    }
+  },
+
+  /**
+   * Flatten a job's checked items into result rows for display and export
+   * @param {Object} job
+   * @returns {Array<Object>}
+   */
+  getResults(job) {
+    return job.items
+      .filter(item => item.result)
+      .map(item => ({ ...item.result, extra: item.extra }));
+  },
+
+  /**
+   * Store a job's current state
+   * @param {Object} job
+   * @returns {Promise<void>}
+   */
+  async save(job) {
+    // A cancel that arrived mid-write must not be overwritten
+    await this.update(jobs =>
+      jobs.map(j => (j.id === job.id ? { ...job, status: mergeStatus(j.status, job.status) } : j))
+    );
+  },
+
+  /**
+   * Apply a change to the stored job list
+   * @param {function(Array): Array} change
+   * @returns {Promise<void>}
+   */
+  update(change) {
+    saveQueue = saveQueue
+      .catch(() => {})
+      .then(async () => Storage.setBulkJobs(change(await Storage.getBulkJobs())));
+    return saveQueue;
+  },
+};
+
+/**
+ * Keep a stored cancellation over a stale in-memory status
+ */
+function mergeStatus(stored, current) {
+  return stored === STATUS.CANCELLED ? stored : current;
+}
+
+export { STATUS };
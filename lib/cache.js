@@ -0,0 +1,135 @@
+/**
+ * Playlist Cache
+ * Short-lived cache of playlist lookups, keyed by playlist ID and snapshot_id
+ * Shared by the popup, content script (via the background) and background jobs
+ */
+
+import { SpotifyAPI } from './spotify-api.js';
+import { Storage } from './storage.js';
+
+// Cache configuration
+const CONFIG = {
+  DEFAULT_TTL_MINUTES: 15,
+  MAX_ENTRIES: 100,
+};
+
+// TTL choices offered in settings (minutes, 0 = off)
+const TTL_OPTIONS = [0, 5, 15, 60, 360];
+
+// Cache writes read-modify-write one storage key (bulk workers write at the same time),
+// so run them one at a time
+let writeQueue = Promise.resolve();
+
+export const PlaylistCache = {
+  /**
+   * Get the configured TTL
+   * @returns {Promise<number>} - TTL in ms (0 = caching disabled)
+   */
+  async getTtl() {
+    const minutes = await Storage.getCacheTtl(CONFIG.DEFAULT_TTL_MINUTES);
+    return minutes * 60 * 1000;
+  },
+
+  /**
+   * Get a cached playlist if it is still fresh
+   * @param {string} playlistId
+   * @returns {Promise<{data: Object, snapshotId: string, cachedAt: number}|null>}
+   */
+  async get(playlistId) {
+    const ttl = await this.getTtl();
+    if (!ttl) return null;
+
+    const cache = await Storage.getResponseCache();
+    const entry = cache[playlistId];
+    if (!entry || Date.now() - entry.cachedAt > ttl) return null;
+
+    return entry;
+  },
+
+  /**
+   * Store a playlist lookup, pruning expired and oldest entries
+   * @param {Object} playlist - Playlist object from SpotifyAPI.getPlaylist
+   * @returns {Promise<number>} - cachedAt timestamp
+   */
+  async set(playlist) {
+    const ttl = await this.getTtl();
+    const cachedAt = Date.now();
+    if (!ttl) return cachedAt;
+
+    await updateCache(cache => {
+      cache[playlist.id] = { data: playlist, snapshotId: playlist.snapshot_id, cachedAt };
+
+      const fresh = Object.entries(cache)
+        .filter(([, entry]) => cachedAt - entry.cachedAt <= ttl)
+        .sort(([, a], [, b]) => b.cachedAt - a.cachedAt)
+        .slice(0, CONFIG.MAX_ENTRIES);
+      return Object.fromEntries(fresh);
+    });
+    return cachedAt;
+  },
+
+  /**
+   * Drop a playlist from the cache
+   * @param {string} playlistId
+   * @returns {Promise<void>}
+   */
+  invalidate(playlistId) {
+    return updateCache(cache => {
+      if (!cache[playlistId]) return null;
+
+      delete cache[playlistId];
+      return cache;
+    });
+  },
+
+  /**
+   * Drop a cached playlist whose snapshot_id no longer matches Spotify's
+   * @param {string} playlistId
+   * @param {string} snapshotId - Latest known snapshot_id
+   * @returns {Promise<void>}
+   */
+  invalidateIfChanged(playlistId, snapshotId) {
+    return updateCache(cache => {
+      const entry = cache[playlistId];
+      if (!entry || !snapshotId || entry.snapshotId === snapshotId) return null;
+
+      delete cache[playlistId];
+      return cache;
+    });
+  },
+
+  /**
+   * Get a playlist from the cache, or from Spotify on a miss
+   * @param {string} playlistId
+   * @param {Object} options - { refresh: skip the cache and re-fetch }
+   * @returns {Promise<{data: Object, cachedAt: number, fromCache: boolean}>}
+   */
+  async getPlaylist(playlistId, { refresh = false } = {}) {
+    if (!refresh) {
+      const entry = await this.get(playlistId);
+      if (entry) {
+        return { data: entry.data, cachedAt: entry.cachedAt, fromCache: true };
+      }
+    }
+
+    const data = await SpotifyAPI.getPlaylist(playlistId);
+    const cachedAt = await this.set(data);
+    return { data, cachedAt, fromCache: false };
+  },
+};
+
+/**
+ * Apply a change to the stored cache after the writes before it
+ * change returns the new cache, or null to leave it as it is
+ */
+function updateCache(change) {
+  writeQueue = writeQueue
+    .catch(() => {})
+    .then(async () => {
+      const cache = change(await Storage.getResponseCache());
+      if (cache) await Storage.setResponseCache(cache);
+    });
+  return writeQueue;
+}
+
+export { TTL_OPTIONS };
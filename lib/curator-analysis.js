@@ -0,0 +1,82 @@
+/**
+ * Curator Analysis
+ * Profiles a playlist owner and scores the curator's whole catalogue
+ */
+
+import { SpotifyAPI } from './spotify-api.js';
+import { BotScore } from './bot-score.js';
+
+// Number of the curator's playlists fetched in full for follower stats
+const SAMPLE_SIZE = 10;
+
+export const CuratorAnalysis = {
+  /**
+   * Fetch and analyse a curator's profile and public playlists
+   * @param {string} userId - Spotify user ID of the playlist owner
+   * @returns {Promise<Object>} - { profile, score, level, factors }
+   */
+  async analyse(userId) {
+    const [user, playlistsPage] = await Promise.all([
+      SpotifyAPI.getUser(userId),
+      SpotifyAPI.getUserPlaylists(userId),
+    ]);
+
+    // The user's list includes playlists they follow - only keep their own
+    const owned = (playlistsPage.items || []).filter(p => p?.owner?.id === userId);
+
+    // Simplified playlist objects have no follower counts, so sample full objects
+    const sample = await Promise.all(
+      owned.slice(0, SAMPLE_SIZE).map(p => SpotifyAPI.getPlaylist(p.id).catch(() => null))
+    );
+
+    const profile = this.buildProfile(user, playlistsPage, owned, sample.filter(Boolean));
+    const botData = BotScore.calculate(profile, {}, 'curator');
+
+    return { profile, ...botData };
+  },
+
+  /**
+   * Summarise curator data for the curator rules
+   * @param {Object} user - Spotify user object
+   * @param {Object} playlistsPage - Paging object from getUserPlaylists
+   * @param {Array} owned - Simplified playlists owned by the user
+   * @param {Array} sample - Full playlist objects for a sample of owned playlists
+   * @returns {Object}
+   */
+  buildProfile(user, playlistsPage, owned, sample) {
+    const followerCounts = sample.map(p => p.followers?.total || 0);
+    const scores = sample.map(p => BotScore.calculate(p));
+
+    // Estimate owned share of the full list from the first page
+    const pageSize = playlistsPage.items?.length || 0;
+    const ownedShare = pageSize ? owned.length / pageSize : 0;
+
+    return {
+      id: user.id,
+      name: user.display_name || user.id,
+      url: user.external_urls?.spotify,
+      image: user.images?.[0]?.url,
+      followers: user.followers?.total || 0,
+      publicPlaylists: Math.round((playlistsPage.total || 0) * ownedShare),
+      sampled: sample.length,
+      totalPlaylistFollowers: followerCounts.reduce((sum, n) => sum + n, 0),
+      followerSpread: coefficientOfVariation(followerCounts),
+      flaggedShare: scores.length
+        ? scores.filter(s => s.level !== 'low').length / scores.length
+        : 0,
+    };
+  },
+};
+
+/**
+ * Standard deviation relative to the mean (0 = identical values)
+ */
+function coefficientOfVariation(values) {
+  if (values.length < 2) return null;
+
+  const mean = values.reduce((sum, n) => sum + n, 0) / values.length;
+  if (mean === 0) return null;
+
+  const variance = values.reduce((sum, n) => sum + (n - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance) / mean;
+}
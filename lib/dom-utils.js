@@ -3,6 +3,9 @@
  * Prevents XSS vulnerabilities
  */
 
+// Namespace for SVG elements
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
 /**
  * Create an element with attributes and children
  * @param {string} tag - HTML tag name
@@ -135,8 +138,11 @@ export function createTrackedItem(playlist, trend) {
   const nameDiv = createElement('div', { className: 'tracked-item-name' }, playlist.name);
   const followersDiv = createElement(
     'div',
-    { className: 'tracked-item-followers' },
-    `${formatNumber(playlist.followers)} followers`
+    {
+      className: `tracked-item-followers${playlist.lastError ? ' sync-error' : ''}`,
+      title: playlist.lastError ? `Last refresh failed: ${playlist.lastError}` : '',
+    },
+    `${formatNumber(playlist.followers)} followers${playlist.lastError ? ' · refresh failed' : ''}`
   );
 
   const infoDiv = createElement('div', { className: 'tracked-item-info' }, [nameDiv, followersDiv]);
@@ -164,6 +170,86 @@ export function createTrackedItem(playlist, trend) {
   );
 }
 
+/**
+ * Create placement row for the release monitor
+ * @param {Object} placement - { name, artist, position, removedAt }
+ * @param {string} playlistName
+ * @param {string} status - Text for the status column
+ * @returns {HTMLDivElement}
+ */
+export function createPlacementItem(placement, playlistName, status) {
+  const trackDiv = createElement(
+    'div',
+    { className: 'placement-item-track' },
+    `${placement.name} – ${placement.artist}`
+  );
+  const playlistDiv = createElement('div', { className: 'placement-item-playlist' }, playlistName);
+
+  const infoDiv = createElement('div', { className: 'placement-item-info' }, [
+    trackDiv,
+    playlistDiv,
+  ]);
+
+  const statusSpan = createElement(
+    'span',
+    {
+      className: `placement-item-status ${placement.removedAt ? 'removed' : ''}`,
+    },
+    status
+  );
+
+  return createElement('div', { className: 'placement-item' }, [infoDiv, statusSpan]);
+}
+
+/**
+ * Create snapshot diff row
+ * @param {string} type - 'added', 'removed' or 'moved'
+ * @param {Object} track - { name, artist }
+ * @param {string} detail - Position info
+ * @returns {HTMLDivElement}
+ */
+export function createDiffItem(type, track, detail) {
+  const sign = { added: '+', removed: '−', moved: '↕' }[type] || '';
+
+  return createElement('div', { className: `diff-item ${type}` }, [
+    createElement('span', { className: 'diff-item-sign' }, sign),
+    createElement('span', { className: 'diff-item-track' }, `${track.name} – ${track.artist}`),
+    createElement('span', { className: 'diff-item-detail' }, detail),
+  ]);
+}
+
+/**
+ * Create daily follower change row
+ * @param {Object} delta - { timestamp, followers, change, days, anomaly }
+ * @param {string} date - Formatted date
+ * @returns {HTMLDivElement}
+ */
+export function createDeltaItem(delta, date) {
+  const sign = delta.change > 0 ? '+' : delta.change < 0 ? '−' : '';
+  const change = `${sign}${formatNumber(Math.abs(delta.change))}`;
+
+  return createElement(
+    'div',
+    { className: `delta-item ${delta.change > 0 ? 'up' : delta.change < 0 ? 'down' : ''}` },
+    [
+      createElement('span', { className: 'delta-item-date' }, date),
+      createElement('span', { className: 'delta-item-followers' }, formatNumber(delta.followers)),
+      createElement(
+        'span',
+        { className: 'delta-item-change' },
+        delta.days > 1 ? `${change} over ${delta.days} days` : change
+      ),
+      delta.anomaly
+        ? createElement(
+            'span',
+            { className: `delta-item-flag ${delta.anomaly}` },
+            delta.anomaly === 'jump' ? 'Sudden jump' : 'Sudden drop'
+          )
+        : null,
+    ]
+  );
+}
+
 /**
  * Create bot score factor badge
  * @param {Object} factor
@@ -174,11 +260,154 @@ export function createFactorBadge(factor) {
     'span',
     {
       className: `bot-factor ${factor.level || ''}`,
+      title: factor.explanation || '',
     },
     factor.label
   );
 }
 
+/**
+ * Create an SVG element with attributes and children
+ * @param {string} tag - SVG tag name
+ * @param {Object} attrs - Attributes to set (className sets class)
+ * @param {Array|string|Node} children - Child elements or text
+ * @returns {SVGElement}
+ */
+export function createSvgElement(tag, attrs = {}, children = []) {
+  const el = document.createElementNS(SVG_NS, tag);
+
+  for (const [key, value] of Object.entries(attrs)) {
+    el.setAttribute(key === 'className' ? 'class' : key, String(value));
+  }
+
+  const childArray = Array.isArray(children) ? children : [children];
+  for (const child of childArray) {
+    if (child === null || child === undefined) continue;
+    if (typeof child === 'string' || typeof child === 'number') {
+      el.appendChild(document.createTextNode(String(child)));
+    } else if (child instanceof Node) {
+      el.appendChild(child);
+    }
+  }
+
+  return el;
+}
+
+/**
+ * Create an SVG line chart
+ * @param {Array<{x: number, y: number, marker?: string, label?: string}>} points - Oldest first,
+ *   at least one; a marker ('jump', 'drop') draws a dot with the label as its tooltip
+ * @param {Object} options
+ * @param {number} options.width - viewBox width
+ * @param {number} options.height - viewBox height
+ * @param {function(number): string} options.formatX - Axis label for an x value
+ * @param {function(number): string} options.formatY - Axis label for a y value
+ * @returns {SVGSVGElement}
+ */
+export function createLineChart(points, options = {}) {
+  const {
+    width = 320,
+    height = 140,
+    formatX = x => new Date(x).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+    formatY = formatNumber,
+  } = options;
+  const pad = { top: 8, right: 8, bottom: 18, left: 40 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs);
+  const spanX = Math.max(...xs) - minX || 1;
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const spanY = maxY - minY || 1;
+
+  const toX = x =>
+    pad.left + (points.length > 1 ? ((x - minX) / spanX) * plotWidth : plotWidth / 2);
+  const toY = y => pad.top + plotHeight - ((y - minY) / spanY) * plotHeight;
+
+  const children = [];
+
+  // Gridlines with follower labels at the bottom, middle and top
+  const gridValues = maxY === minY ? [minY] : [minY, (minY + maxY) / 2, maxY];
+  gridValues.forEach(value => {
+    const y = toY(value).toFixed(1);
+    children.push(
+      createSvgElement('line', {
+        className: 'chart-grid',
+        x1: pad.left,
+        x2: width - pad.right,
+        y1: y,
+        y2: y,
+      }),
+      createSvgElement(
+        'text',
+        {
+          className: 'chart-label',
+          x: pad.left - 4,
+          y,
+          'text-anchor': 'end',
+          'dominant-baseline': 'middle',
+        },
+        formatY(Math.round(value))
+      )
+    );
+  });
+
+  // Dates at each end
+  if (points.length > 0) {
+    const labelY = height - 4;
+    children.push(
+      createSvgElement('text', { className: 'chart-label', x: pad.left, y: labelY }, formatX(minX))
+    );
+    if (points.length > 1) {
+      children.push(
+        createSvgElement(
+          'text',
+          { className: 'chart-label', x: width - pad.right, y: labelY, 'text-anchor': 'end' },
+          formatX(minX + spanX)
+        )
+      );
+    }
+  }
+
+  const coords = points.map(p => `${toX(p.x).toFixed(1)},${toY(p.y).toFixed(1)}`).join(' ');
+  children.push(
+    points.length > 1
+      ? createSvgElement('polyline', { className: 'chart-line', points: coords })
+      : createSvgElement('circle', {
+          className: 'chart-line',
+          cx: toX(xs[0]),
+          cy: toY(ys[0]),
+          r: 2,
+        })
+  );
+
+  points
+    .filter(p => p.marker)
+    .forEach(p => {
+      children.push(
+        createSvgElement(
+          'circle',
+          {
+            className: `chart-marker ${p.marker}`,
+            cx: toX(p.x).toFixed(1),
+            cy: toY(p.y).toFixed(1),
+            r: 3.5,
+          },
+          createSvgElement('title', {}, p.label || '')
+        )
+      );
+    });
+
+  return createSvgElement(
+    'svg',
+    { className: 'line-chart', viewBox: `0 0 ${width} ${height}`, role: 'img' },
+    children
+  );
+}
+
 /**
  * Format number with K/M suffix
  * @param {number} num
@@ -190,6 +419,18 @@ export function formatNumber(num) {
   return num.toString();
 }
 
+/**
+ * Format how long ago something was fetched ('just now', '5 min ago', '2 h ago')
+ * @param {number} timestamp
+ * @returns {string}
+ */
+export function formatAge(timestamp) {
+  const minutes = Math.floor((Date.now() - (timestamp || Date.now())) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  return `${Math.floor(minutes / 60)} h ago`;
+}
+
 /**
  * Truncate string with ellipsis
  * @param {string} str
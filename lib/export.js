@@ -0,0 +1,288 @@
+/**
+ * Export Utility
+ * Turns check results into CSV (RFC 4180), JSON, XLSX or Markdown downloads
+ */
+
+import { Zip } from './zip.js';
+import { BotScore } from './bot-score.js';
+
+// Built-in columns, in export order
+const COLUMNS = [
+  { id: 'name', label: 'Name', value: r => r.name },
+  { id: 'curator', label: 'Curator', value: r => r.owner?.display_name },
+  { id: 'followers', label: 'Followers', value: r => r.followers?.total },
+  { id: 'tracks', label: 'Tracks', value: r => r.tracks?.total },
+  { id: 'public', label: 'Public', value: r => r.public },
+  { id: 'url', label: 'URL', value: r => r.external_urls?.spotify },
+  { id: 'botScore', label: 'Bot Score', value: r => r.botData?.score },
+  { id: 'botLevel', label: 'Bot Level', value: r => r.botData?.level },
+];
+
+// Supported formats
+const FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', type: 'text/csv' },
+  json: { label: 'JSON', extension: 'json', type: 'application/json' },
+  xlsx: {
+    label: 'Excel (XLSX)',
+    extension: 'xlsx',
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  },
+  markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown' },
+};
+
+export const Exporter = {
+  /**
+   * Build the table to export
+   * @param {Array} results - Playlist results (with botData and optional spreadsheet extra)
+   * @param {Object} options
+   * @param {Array<string>} options.columns - Built-in column IDs to include
+   * @param {Array<string>} options.extraColumns - Spreadsheet columns to include
+   * @param {boolean} options.includeFactors - Add a column per bot-score rule that fired
+   * @returns {{headers: Array<string>, rows: Array<Array<*>>}}
+   */
+  buildTable(
+    results,
+    { columns = COLUMNS.map(c => c.id), extraColumns = [], includeFactors = false }
+  ) {
+    const selected = COLUMNS.filter(c => columns.includes(c.id));
+    const factors = includeFactors ? this.getFactorColumns(results) : [];
+
+    const headers = [
+      ...selected.map(c => c.label),
+      ...factors.map(f => `Factor: ${f.label}`),
+      ...extraColumns,
+    ];
+
+    const rows = results.map(r => [
+      ...selected.map(c => c.value(r)),
+      ...factors.map(f =>
+        factorCell(
+          r.botData?.factors?.find(x => x.id === f.id),
+          f
+        )
+      ),
+      ...extraColumns.map(name => r.extra?.[name]),
+    ]);
+
+    return { headers, rows };
+  },
+
+  /**
+   * Rules that fired for any of the results (the breakdown columns)
+   * Headers use the rule's own label; the per-playlist detail goes in each row's cell
+   * @param {Array} results
+   * @returns {Array<{id: string, label: string}>}
+   */
+  getFactorColumns(results) {
+    const labels = new Map(BotScore.getRules().map(rule => [rule.id, rule.label]));
+    const factors = new Map();
+    results.forEach(r => {
+      (r.botData?.factors || [])
+        .filter(f => f.weight > 0)
+        .forEach(f => factors.set(f.id, { id: f.id, label: labels.get(f.id) || f.id }));
+    });
+    return [...factors.values()];
+  },
+
+  /**
+   * RFC 4180 CSV: CRLF line endings, fields with commas, quotes or line breaks quoted
+   * Text starting with = + - or @ gets a leading ' so spreadsheet apps don't run it as a
+   * formula; numbers (including negative numbers in text cells) are left as they are
+   * @param {Array<string>} headers
+   * @param {Array<Array<*>>} rows
+   * @returns {string}
+   */
+  toCsv(headers, rows) {
+    const escape = value => {
+      let cell = value === null || value === undefined ? '' : String(value);
+
+      // Keep spreadsheet apps from evaluating text as a formula
+      if (typeof value === 'string' && /^[=+\-@]/.test(cell) && !isNumeric(cell)) {
+        cell = `'${cell}`;
+      }
+
+      return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    };
+
+    return [headers, ...rows].map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+  },
+
+  /**
+   * JSON array of objects keyed by header
+   * @param {Array<string>} headers
+   * @param {Array<Array<*>>} rows
+   * @returns {string}
+   */
+  toJson(headers, rows) {
+    const records = rows.map(row =>
+      Object.fromEntries(headers.map((header, i) => [header, row[i] ?? null]))
+    );
+    return JSON.stringify(records, null, 2);
+  },
+
+  /**
+   * GitHub-flavoured Markdown table
+   * @param {Array<string>} headers
+   * @param {Array<Array<*>>} rows
+   * @returns {string}
+   */
+  toMarkdown(headers, rows) {
+    const escape = value =>
+      String(value ?? '')
+        .replace(/\|/g, '\\|')
+        .replace(/\r?\n/g, ' ');
+
+    return [
+      `| ${headers.map(escape).join(' | ')} |`,
+      `| ${headers.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.map(escape).join(' | ')} |`),
+    ].join('\n');
+  },
+
+  /**
+   * Single-sheet XLSX workbook (numbers and booleans keep their types)
+   * @param {Array<string>} headers
+   * @param {Array<Array<*>>} rows
+   * @returns {Uint8Array}
+   */
+  toXlsx(headers, rows) {
+    const sheetRows = [headers, ...rows]
+      .map((row, r) => {
+        const cells = row.map((value, c) => xlsxCell(`${columnName(c)}${r + 1}`, value)).join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+      })
+      .join('');
+
+    return Zip.create([
+      {
+        name: '[Content_Types].xml',
+        data:
+          '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+          '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+          '</Types>',
+      },
+      {
+        name: '_rels/.rels',
+        data:
+          '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+          '</Relationships>',
+      },
+      {
+        name: 'xl/workbook.xml',
+        data:
+          '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+          '<sheets><sheet name="Spot Checker" sheetId="1" r:id="rId1"/></sheets>' +
+          '</workbook>',
+      },
+      {
+        name: 'xl/_rels/workbook.xml.rels',
+        data:
+          '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+          '</Relationships>',
+      },
+      {
+        name: 'xl/worksheets/sheet1.xml',
+        data:
+          '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+          `<sheetData>${sheetRows}</sheetData>` +
+          '</worksheet>',
+      },
+    ]);
+  },
+
+  /**
+   * Export results and trigger a download
+   * @param {Array} results
+   * @param {Object} options - buildTable options plus { format }
+   * @returns {boolean} - false if there was nothing to export
+   */
+  download(results, { format = 'csv', ...tableOptions }) {
+    const exportable = results.filter(r => r && !r.error);
+    if (exportable.length === 0) return false;
+
+    const { headers, rows } = this.buildTable(exportable, tableOptions);
+    const content = {
+      csv: () => this.toCsv(headers, rows),
+      json: () => this.toJson(headers, rows),
+      xlsx: () => this.toXlsx(headers, rows),
+      markdown: () => this.toMarkdown(headers, rows),
+    }[format]();
+
+    const { extension, type } = FORMATS[format];
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `spot-checker-export-${Date.now()}.${extension}`;
+    a.click();
+    URL.revokeObjectURL(url);
+
+    return true;
+  },
+};
+
+/**
+ * Factor column cell: the points a rule scored, with the playlist's own detail
+ * when the rule reported one (e.g. which artist repeats), or 0 if it didn't fire
+ */
+function factorCell(factor, column) {
+  if (!factor) return 0;
+  return factor.label && factor.label !== column.label
+    ? `${factor.weight} (${factor.label})`
+    : factor.weight;
+}
+
+/**
+ * Whether text is a plain number, e.g. "-12" or "+3.5"
+ */
+function isNumeric(text) {
+  return /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text);
+}
+
+/**
+ * Spreadsheet column letters for a zero-based index (0 = A, 26 = AA)
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Worksheet cell XML for a value
+ */
+function xlsxCell(ref, value) {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+}
+
+/**
+ * Escape text for XML content, dropping characters XML 1.0 can't represent
+ */
+function escapeXml(text) {
+  return text
+    .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+export { COLUMNS, FORMATS };
@@ -0,0 +1,213 @@
+/**
+ * External API (Pro)
+ * Methods callable from the web origins listed under externally_connectable,
+ * authenticated by API key and metered per call
+ */
+
+import { SpotifyAPI } from './spotify-api.js';
+import { Storage } from './storage.js';
+import { PlaylistCache } from './cache.js';
+import { BotScore } from './bot-score.js';
+import { BulkJobs } from './bulk-jobs.js';
+import { ApiKeys } from './api-keys.js';
+import { Premium } from './premium.js';
+
+// Cross-browser API
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// API configuration
+const CONFIG = {
+  HISTORY_LIMIT: 1000, // Most entries getHistory returns per call
+};
+
+// Callable methods: check turns the params into run's arguments (throwing on bad params)
+// before the call is charged; run does the work (with the call's abort signal)
+const METHODS = {
+  checkPlaylist: {
+    check: ({ playlist, refresh = false }) => ({
+      id: requirePlaylistId(playlist),
+      refresh: !!refresh,
+    }),
+    async run({ id, refresh }) {
+      const { data, cachedAt } = await PlaylistCache.getPlaylist(id, { refresh });
+      const tracked = await Storage.getTrackedPlaylist(id);
+      const botData = BotScore.calculate(data, { historyAnomalies: tracked?.historyAnomalies });
+      return { ...summarise(data, botData), cachedAt };
+    },
+  },
+
+  bulkCheck: {
+    async check({ playlists }) {
+      if (!Array.isArray(playlists) || playlists.length === 0) {
+        throw apiError(400, 'playlists must be a non-empty array of URLs or IDs');
+      }
+
+      const { bulkLimit } = await Premium.getLimits();
+      if (playlists.length > bulkLimit) {
+        throw apiError(400, `At most ${bulkLimit} playlists per call`);
+      }
+      return { playlists: playlists.map(String) };
+    },
+    async run({ playlists }, { signal }) {
+      const results = await Promise.all(
+        playlists.map(entry => BulkJobs.checkEntry(entry, { signal }))
+      );
+      return results.map(result =>
+        result.error
+          ? { error: result.error, input: result.url }
+          : summarise(result, result.botData)
+      );
+    },
+  },
+
+  getTracked: {
+    check: () => ({}),
+    async run() {
+      const tracked = await Storage.getTrackedPlaylists();
+      return tracked.map(p => ({
+        id: p.id,
+        name: p.name,
+        url: `https://open.spotify.com/playlist/${p.id}`,
+        followers: p.followers ?? null,
+        trackCount: p.trackCount ?? null,
+        public: p.public ?? null,
+        unavailable: !!p.unavailable,
+        botScore: typeof p.botScore === 'number' ? { score: p.botScore, level: p.botLevel } : null,
+        lastUpdated: p.lastUpdated || null,
+      }));
+    },
+  },
+
+  getHistory: {
+    async check({ playlist, since, limit = CONFIG.HISTORY_LIMIT }) {
+      const id = requirePlaylistId(playlist);
+      if (!(await Storage.getTrackedPlaylist(id))) {
+        throw apiError(404, 'Playlist is not tracked');
+      }
+      return {
+        id,
+        since: Number(since) || undefined,
+        limit: Math.min(CONFIG.HISTORY_LIMIT, Math.max(1, Number(limit) || CONFIG.HISTORY_LIMIT)),
+      };
+    },
+    async run({ id, since, limit }) {
+      const history = await Storage.getPlaylistHistory(id, { since, limit });
+      return history.map(({ timestamp, followers }) => ({ timestamp, followers }));
+    },
+  },
+};
+
+export const ExternalApi = {
+  /**
+   * Run one API call (routed here by the background script's API_CALL route)
+   * Throws with error.status 400, 401, 403, 404 or 429
+   * @param {Object} message - { apiKey, method, params }
+   * @param {Object} sender - runtime.MessageSender
+   * @param {Object} options - { signal: aborted when the call times out; it's then not charged }
+   * @returns {Promise<*>} - The method's result
+   */
+  async call({ apiKey, method, params }, sender, { signal = null } = {}) {
+    if (!this.isAllowedSender(sender)) {
+      throw apiError(403, 'Origin not allowed');
+    }
+    if (!Object.hasOwn(METHODS, method)) {
+      throw apiError(400, `Unknown method: ${method}`);
+    }
+
+    // Bad params are rejected (and logged) after the key is checked, without using a request
+    let args;
+    await ApiKeys.meter(apiKey, method, async () => {
+      args = await METHODS[method].check(params || {});
+    });
+    const result = await METHODS[method].run(args, { signal });
+
+    // The caller already has a timeout error, so this request doesn't count
+    if (signal?.aborted) {
+      await ApiKeys.refund();
+      throw signal.reason;
+    }
+    return result;
+  },
+
+  /**
+   * Whether a sender is a page on one of the manifest's externally_connectable origins
+   * The browser already enforces this; checked again so a manifest change can't widen access
+   * @param {Object} sender
+   * @returns {boolean}
+   */
+  isAllowedSender(sender) {
+    const url = sender?.origin || sender?.url;
+    if (!url) return false;
+
+    const patterns = browserAPI.runtime.getManifest().externally_connectable?.matches || [];
+    return patterns.some(pattern => matchPattern(pattern, url));
+  },
+};
+
+/**
+ * Playlist fields returned by the API
+ */
+function summarise(playlist, botData) {
+  return {
+    id: playlist.id,
+    name: playlist.name,
+    url: playlist.external_urls?.spotify || `https://open.spotify.com/playlist/${playlist.id}`,
+    owner: playlist.owner ? { id: playlist.owner.id, name: playlist.owner.display_name } : null,
+    followers: playlist.followers?.total ?? null,
+    trackCount: playlist.tracks?.total ?? null,
+    public: playlist.public ?? null,
+    image: playlist.images?.[0]?.url || null,
+    botScore: {
+      score: botData.score,
+      level: botData.level,
+      factors: botData.factors.map(f => ({ id: f.id, label: f.label, weight: f.weight })),
+    },
+  };
+}
+
+/**
+ * Playlist ID from a URL, URI or ID param
+ */
+function requirePlaylistId(value) {
+  const id = typeof value === 'string' ? SpotifyAPI.extractPlaylistId(value.trim()) : null;
+  if (!id) throw apiError(400, 'playlist must be a Spotify playlist URL, URI or ID');
+  return id;
+}
+
+/**
+ * Error carrying an HTTP-style status
+ */
+function apiError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Match a URL's scheme and host against a manifest match pattern
+ * Access is granted per origin, so the pattern's path is ignored
+ */
+function matchPattern(pattern, url) {
+  const match = pattern.match(/^(https?|\*):\/\/(\*|\*\.[^/*]+|[^/*]+)(\/.*)$/);
+  if (!match) return false;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  const [, scheme, host] = match;
+  const protocol = parsed.protocol.slice(0, -1);
+  if (scheme === '*' ? !['http', 'https'].includes(protocol) : scheme !== protocol) {
+    return false;
+  }
+
+  if (host === '*') return true;
+  if (host.startsWith('*.')) {
+    const domain = host.slice(2);
+    return parsed.hostname === domain || parsed.hostname.endsWith(`.${domain}`);
+  }
+  return parsed.hostname === host;
+}
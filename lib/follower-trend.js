@@ -0,0 +1,161 @@
+/**
+ * Follower Trend
+ * Turns stored follower history into a daily series with day-over-day
+ * changes, flagging days that jump or drop far outside the usual movement
+ */
+
+// Trend configuration
+const CONFIG = {
+  MIN_DELTAS: 5, // Changes needed before the usual movement is estimated
+  OUTLIER_SCORE: 3.5, // Robust z-score (median/MAD) that counts as a jump or drop
+  MIN_CHANGE: 10, // Followers per day below which nothing is flagged
+  MIN_PERCENT: 1, // Percent per day below which nothing is flagged
+  FALLBACK_PERCENT: 10, // Percent per day flagged while history is too short to estimate
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Chart ranges in days (null = all history)
+const RANGES = [
+  { id: '7d', label: '7d', days: 7 },
+  { id: '30d', label: '30d', days: 30 },
+  { id: '90d', label: '90d', days: 90 },
+  { id: 'all', label: 'All', days: null },
+];
+
+export const FollowerTrend = {
+  /**
+   * Entries within a chart range
+   * @param {Array<{followers: number, timestamp: number}>} history - Newest first
+   * @param {string} rangeId - One of RANGES
+   * @returns {Array} - Newest first
+   */
+  filterRange(history, rangeId) {
+    const range = RANGES.find(r => r.id === rangeId);
+    if (!range?.days) return history;
+
+    const since = Date.now() - range.days * DAY_MS;
+    return history.filter(h => h.timestamp >= since);
+  },
+
+  /**
+   * One reading per calendar day (the last one taken that day), oldest first
+   * @param {Array<{followers: number, timestamp: number}>} history - Any order
+   * @returns {Array<{followers: number, timestamp: number}>}
+   */
+  toDaily(history) {
+    const days = new Map();
+
+    [...history]
+      .filter(h => typeof h.followers === 'number')
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach(h => days.set(new Date(h.timestamp).toDateString(), h));
+
+    return [...days.values()];
+  },
+
+  /**
+   * Day-over-day changes, with gaps between readings spread per day
+   * @param {Array<{followers: number, timestamp: number}>} daily - From toDaily
+   * @returns {Array<{timestamp: number, followers: number, change: number, days: number, perDay: number, percent: number}>}
+   */
+  getDeltas(daily) {
+    const deltas = [];
+
+    for (let i = 1; i < daily.length; i++) {
+      const previous = daily[i - 1];
+      const current = daily[i];
+      const change = current.followers - previous.followers;
+      const days = Math.max(1, Math.round(dayDiff(previous.timestamp, current.timestamp)));
+      const perDay = change / days;
+
+      deltas.push({
+        timestamp: current.timestamp,
+        followers: current.followers,
+        change,
+        days,
+        perDay,
+        percent: previous.followers > 0 ? (perDay / previous.followers) * 100 : 0,
+      });
+    }
+
+    return deltas;
+  },
+
+  /**
+   * Mark changes far outside the playlist's usual daily movement
+   * Uses a median/MAD robust z-score, so one spike doesn't hide another
+   * @param {Array} deltas - From getDeltas
+   * @returns {Array} - Deltas with anomaly: 'jump' | 'drop' | null
+   */
+  markAnomalies(deltas) {
+    const rates = deltas.map(d => d.perDay);
+    const center = median(rates);
+    const spread = median(rates.map(r => Math.abs(r - center))) * 1.4826;
+    const estimated = deltas.length >= CONFIG.MIN_DELTAS;
+
+    return deltas.map(d => {
+      const large =
+        Math.abs(d.perDay) >= CONFIG.MIN_CHANGE && Math.abs(d.percent) >= CONFIG.MIN_PERCENT;
+
+      let outlier;
+      if (!estimated) {
+        outlier = Math.abs(d.percent) >= CONFIG.FALLBACK_PERCENT;
+      } else if (spread === 0) {
+        outlier = d.perDay !== center;
+      } else {
+        outlier = Math.abs(d.perDay - center) / spread >= CONFIG.OUTLIER_SCORE;
+      }
+
+      const anomaly = large && outlier ? (d.change > 0 ? 'jump' : 'drop') : null;
+      return { ...d, anomaly };
+    });
+  },
+
+  /**
+   * Daily series and marked changes for a chart range
+   * Anomalies are judged against all history so short ranges stay meaningful
+   * @param {Array<{followers: number, timestamp: number}>} history - Newest first
+   * @param {string} rangeId
+   * @returns {{daily: Array, deltas: Array}} - Both oldest first
+   */
+  analyse(history, rangeId) {
+    const since = this.filterRange(history, rangeId).reduce(
+      (min, h) => Math.min(min, h.timestamp),
+      Infinity
+    );
+
+    const daily = this.toDaily(history);
+    const deltas = this.markAnomalies(this.getDeltas(daily));
+
+    return {
+      daily: daily.filter(d => d.timestamp >= since),
+      deltas: deltas.filter(d => d.timestamp >= since),
+    };
+  },
+};
+
+/**
+ * Days between two timestamps, by calendar date (ignores time of day and DST)
+ */
+function dayDiff(from, to) {
+  const start = new Date(from);
+  const end = new Date(to);
+  return (
+    (Date.UTC(end.getFullYear(), end.getMonth(), end.getDate()) -
+      Date.UTC(start.getFullYear(), start.getMonth(), start.getDate())) /
+    DAY_MS
+  );
+}
+
+/**
+ * Median of a list of numbers (0 when empty)
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+export { RANGES };
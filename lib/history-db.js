@@ -0,0 +1,271 @@
+/**
+ * History Database
+ * IndexedDB stores of per-playlist follower time series and track list snapshots
+ * Shared by the popup and the background script (same extension origin)
+ */
+
+// Database configuration
+const CONFIG = {
+  NAME: 'spot-checker',
+  VERSION: 2,
+  STORE: 'followerHistory',
+  SNAPSHOT_STORE: 'snapshots',
+  SNAPSHOT_LIMIT: 10, // Track list snapshots kept per playlist
+  QUOTA_WARNING: 0.8, // Share of the quota at which callers should warn
+};
+
+let dbPromise = null;
+
+export const HistoryDB = {
+  /**
+   * Open (and create or upgrade) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(CONFIG.NAME, CONFIG.VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(CONFIG.STORE)) {
+            // Keyed by [playlistId, timestamp] so each series is one key range
+            const store = db.createObjectStore(CONFIG.STORE, {
+              keyPath: ['playlistId', 'timestamp'],
+            });
+            store.createIndex('timestamp', 'timestamp');
+          }
+          if (!db.objectStoreNames.contains(CONFIG.SNAPSHOT_STORE)) {
+            // One record per snapshot, keyed like the follower series
+            db.createObjectStore(CONFIG.SNAPSHOT_STORE, { keyPath: ['playlistId', 'timestamp'] });
+          }
+        };
+
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let another context (an updated popup or worker) upgrade the schema
+          db.onversionchange = () => {
+            db.close();
+            dbPromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  },
+
+  /**
+   * Record follower counts (an entry with the same timestamp is replaced)
+   * @param {string} playlistId
+   * @param {Array<{followers: number, timestamp: number}>} entries
+   * @returns {Promise<void>}
+   */
+  async addEntries(playlistId, entries) {
+    if (entries.length === 0) return;
+
+    await this.transaction('readwrite', store => {
+      entries.forEach(({ followers, timestamp }) => {
+        store.put({ playlistId, followers, timestamp });
+      });
+    });
+  },
+
+  /**
+   * Record a single follower count
+   * @param {string} playlistId
+   * @param {{followers: number, timestamp: number}} entry
+   * @returns {Promise<void>}
+   */
+  async addEntry(playlistId, entry) {
+    await this.addEntries(playlistId, [entry]);
+  },
+
+  /**
+   * Get a playlist's follower history, newest first
+   * @param {string} playlistId
+   * @param {Object} options - { since: timestamp, limit: max entries }
+   * @returns {Promise<Array<{followers: number, timestamp: number}>>}
+   */
+  async getHistory(playlistId, { since = 0, limit = Infinity } = {}) {
+    const entries = [];
+    const range = IDBKeyRange.bound([playlistId, since], [playlistId, Infinity]);
+
+    await this.transaction('readonly', store => {
+      const request = store.openCursor(range, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || entries.length >= limit) return;
+
+        const { followers, timestamp } = cursor.value;
+        entries.push({ followers, timestamp });
+        cursor.continue();
+      };
+    });
+
+    return entries;
+  },
+
+  /**
+   * Replace a playlist's whole series
+   * @param {string} playlistId
+   * @param {Array<{followers: number, timestamp: number}>} entries
+   * @returns {Promise<void>}
+   */
+  async setHistory(playlistId, entries) {
+    await this.deleteHistory(playlistId);
+    await this.addEntries(playlistId, entries);
+  },
+
+  /**
+   * Delete a playlist's series
+   * @param {string} playlistId
+   * @returns {Promise<void>}
+   */
+  async deleteHistory(playlistId) {
+    await this.transaction('readwrite', store => {
+      store.delete(IDBKeyRange.bound([playlistId, 0], [playlistId, Infinity]));
+    });
+  },
+
+  /**
+   * Delete entries older than the retention window
+   * @param {number} retentionDays - 0 keeps everything
+   * @returns {Promise<void>}
+   */
+  async prune(retentionDays) {
+    if (!retentionDays) return;
+
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    await this.transaction('readwrite', store => {
+      const request = store.index('timestamp').openCursor(IDBKeyRange.upperBound(cutoff, true));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    });
+  },
+
+  /**
+   * Get a playlist's track list snapshots, newest first
+   * @param {string} playlistId
+   * @returns {Promise<Array<{snapshotId: string, timestamp: number, tracks: Array}>>}
+   */
+  async getSnapshots(playlistId) {
+    const snapshots = [];
+    const range = IDBKeyRange.bound([playlistId, 0], [playlistId, Infinity]);
+
+    await this.transaction(
+      'readonly',
+      store => {
+        const request = store.openCursor(range, 'prev');
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+
+          const { snapshotId, timestamp, tracks } = cursor.value;
+          snapshots.push({ snapshotId, timestamp, tracks });
+          cursor.continue();
+        };
+      },
+      CONFIG.SNAPSHOT_STORE
+    );
+
+    return snapshots;
+  },
+
+  /**
+   * Store a track list snapshot unless it matches the newest one, dropping the oldest past SNAPSHOT_LIMIT
+   * Check, write and trim run in one transaction, so concurrent saves can't lose each other's writes
+   * Rejects (with a QuotaExceededError) if storage is full
+   * @param {string} playlistId
+   * @param {{snapshotId: string, timestamp: number, tracks: Array}} snapshot
+   * @returns {Promise<void>}
+   */
+  async addSnapshot(playlistId, { snapshotId, timestamp, tracks }) {
+    const range = IDBKeyRange.bound([playlistId, 0], [playlistId, Infinity]);
+
+    await this.transaction(
+      'readwrite',
+      store => {
+        let kept = 0;
+        const request = store.openCursor(range, 'prev');
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (kept === 0) {
+            if (cursor?.value.snapshotId === snapshotId) return;
+            store.put({ playlistId, snapshotId, timestamp, tracks });
+            kept = 1;
+          }
+          if (!cursor) return;
+
+          if (kept >= CONFIG.SNAPSHOT_LIMIT) {
+            cursor.delete();
+          } else {
+            kept++;
+          }
+          cursor.continue();
+        };
+      },
+      CONFIG.SNAPSHOT_STORE
+    );
+  },
+
+  /**
+   * Delete a playlist's snapshots
+   * @param {string} playlistId
+   * @returns {Promise<void>}
+   */
+  async deleteSnapshots(playlistId) {
+    await this.transaction(
+      'readwrite',
+      store => store.delete(IDBKeyRange.bound([playlistId, 0], [playlistId, Infinity])),
+      CONFIG.SNAPSHOT_STORE
+    );
+  },
+
+  /**
+   * Delete every series and snapshot
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.transaction('readwrite', store => store.clear());
+    await this.transaction('readwrite', store => store.clear(), CONFIG.SNAPSHOT_STORE);
+  },
+
+  /**
+   * Storage used by the extension origin (IndexedDB and caches)
+   * @returns {Promise<{usage: number, quota: number, nearQuota: boolean}|null>}
+   */
+  async getUsage() {
+    if (!navigator.storage?.estimate) return null;
+
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota, nearQuota: quota > 0 && usage / quota >= CONFIG.QUOTA_WARNING };
+  },
+
+  /**
+   * Run work in a transaction on one store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {function(IDBObjectStore): void} work
+   * @param {string} storeName - Defaults to the follower history store
+   * @returns {Promise<void>} - Resolves when the transaction completes
+   */
+  async transaction(mode, work, storeName = CONFIG.STORE) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+      work(tx.objectStore(storeName));
+    });
+  },
+};
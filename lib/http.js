@@ -0,0 +1,157 @@
+/**
+ * HTTP Utility
+ * Retrying fetch with Retry-After handling, jittered exponential backoff
+ * and a concurrency limiter
+ */
+
+// Retry configuration
+const CONFIG = {
+  MAX_RETRIES: 4,
+  BASE_DELAY: 500, // ms, doubled per attempt
+  MAX_DELAY: 30000, // ms, cap for a single backoff
+  MAX_RETRY_AFTER: 60000, // ms, longer Retry-After values are returned to the caller
+};
+
+export const Http = {
+  /**
+   * Fetch with retries on 429, 5xx and network errors
+   * Non-retryable responses (and the last failed attempt) are returned as-is
+   * so callers keep their own error handling
+   * @param {string} url
+   * @param {Object} options - fetch options
+   * @param {Object} retryOptions - { retries, limiter }
+   * @returns {Promise<Response>}
+   */
+  async fetchWithRetry(url, options = {}, { retries = CONFIG.MAX_RETRIES, limiter = null } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let response;
+
+      try {
+        response = limiter
+          ? await limiter.run(() => fetch(url, options))
+          : await fetch(url, options);
+      } catch (error) {
+        // Network error - retry unless out of attempts
+        if (attempt >= retries) throw error;
+        await this.sleep(this.getBackoff(attempt));
+        continue;
+      }
+
+      if (!this.isRetryable(response.status) || attempt >= retries) {
+        return response;
+      }
+
+      const retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+      if (retryAfter !== null && retryAfter > CONFIG.MAX_RETRY_AFTER) {
+        return response;
+      }
+
+      // Rate limits apply to every caller, so hold the whole queue
+      if (retryAfter !== null) {
+        limiter?.pause(retryAfter);
+      }
+
+      await this.sleep(retryAfter ?? this.getBackoff(attempt));
+    }
+  },
+
+  /**
+   * Whether a status code is worth retrying
+   * @param {number} status
+   * @returns {boolean}
+   */
+  isRetryable(status) {
+    return status === 429 || status >= 500;
+  },
+
+  /**
+   * Parse a Retry-After header (seconds or HTTP date)
+   * @param {string|null} value
+   * @returns {number|null} - Delay in ms
+   */
+  parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+
+    return null;
+  },
+
+  /**
+   * Exponential backoff with full jitter
+   * @param {number} attempt - Zero-based attempt number
+   * @returns {number} - Delay in ms
+   */
+  getBackoff(attempt) {
+    const max = Math.min(CONFIG.MAX_DELAY, CONFIG.BASE_DELAY * 2 ** attempt);
+    return Math.round(Math.random() * max);
+  },
+
+  /**
+   * Wait for a number of milliseconds
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  },
+
+  /**
+   * Create a limiter that runs at most `max` tasks at once
+   * @param {number} max
+   * @returns {{run: function(function(): Promise): Promise, pause: function(number): void}}
+   */
+  createLimiter(max) {
+    let active = 0;
+    let pausedUntil = 0;
+    let resumeTimer = null;
+    const queue = [];
+
+    const next = () => {
+      while (active < max && queue.length > 0) {
+        const wait = pausedUntil - Date.now();
+        if (wait > 0) {
+          // Resume once the pause is over (re-checked in case it was extended)
+          if (!resumeTimer) {
+            resumeTimer = setTimeout(() => {
+              resumeTimer = null;
+              next();
+            }, wait);
+          }
+          return;
+        }
+
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve()
+          .then(task)
+          .then(resolve, reject)
+          .finally(() => {
+            active--;
+            next();
+          });
+      }
+    };
+
+    return {
+      run(task) {
+        return new Promise((resolve, reject) => {
+          queue.push({ task, resolve, reject });
+          next();
+        });
+      },
+
+      /**
+       * Hold queued tasks for a number of milliseconds
+       * @param {number} ms
+       */
+      pause(ms) {
+        pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+      },
+    };
+  },
+};
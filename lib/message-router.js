@@ -0,0 +1,197 @@
+/**
+ * Message Router
+ * Routes runtime messages to registered handlers in the background script.
+ * Each route declares its request schema, the senders allowed to use it and
+ * a timeout; every message gets a { ok, data, error } response
+ */
+
+// Cross-browser API
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// Router configuration
+const CONFIG = {
+  DEFAULT_TIMEOUT: 10000, // ms a handler may take before the caller gets a timeout error
+};
+
+// Sender kinds a route can allow
+const SENDERS = {
+  POPUP: 'popup', // Extension pages (popup, or the popup opened in a tab)
+  CONTENT: 'content', // Content scripts in web pages
+  EXTERNAL: 'external', // Web pages on the externally_connectable origins
+};
+
+// Field types a schema can declare ('?' suffix = optional)
+const TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+};
+
+// Registered routes by message type
+const routes = new Map();
+
+export const MessageRouter = {
+  /**
+   * Register a route
+   * The handler's return value is sent as data; a thrown error's message,
+   * status (default 500) and code are sent as error
+   * The handler's signal aborts when the route times out: the caller has had its error
+   * by then, so handlers should stop and not charge for the call
+   * @param {string} type - Message type
+   * @param {Object} route - { senders, schema, timeout, handler(message, sender, { signal }) }
+   */
+  registerRoute(type, route) {
+    if (!type || typeof route?.handler !== 'function') {
+      throw new Error('Message routes need a type and a handler function');
+    }
+    if (!route.senders?.length || route.senders.some(s => !Object.values(SENDERS).includes(s))) {
+      throw new Error(`Route ${type} needs senders from: ${Object.values(SENDERS).join(', ')}`);
+    }
+    for (const [field, fieldType] of Object.entries(route.schema || {})) {
+      if (!TYPES[fieldType.replace(/\?$/, '')]) {
+        throw new Error(`Route ${type} has an unknown type for ${field}: ${fieldType}`);
+      }
+    }
+
+    routes.set(type, { schema: {}, timeout: CONFIG.DEFAULT_TIMEOUT, ...route });
+  },
+
+  /**
+   * Get a registered route
+   * @param {string} type
+   * @returns {Object|undefined}
+   */
+  getRoute(type) {
+    return routes.get(type);
+  },
+
+  /**
+   * Start answering runtime messages (and external ones if the browser supports them)
+   */
+  listen() {
+    browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      this.dispatch(message, sender).then(sendResponse);
+      return true;
+    });
+
+    browserAPI.runtime.onMessageExternal?.addListener((message, sender, sendResponse) => {
+      this.dispatch(message, sender, true).then(sendResponse);
+      return true;
+    });
+  },
+
+  /**
+   * Validate and run one message
+   * @param {Object} message - { type, ...fields }
+   * @param {Object} sender - runtime.MessageSender
+   * @param {boolean} external - Arrived through onMessageExternal
+   * @returns {Promise<{ok: boolean, data: *, error: {status: number, message: string, code: string|null}|null}>}
+   */
+  async dispatch(message, sender, external = false) {
+    const type = message?.type;
+
+    try {
+      const route = routes.get(type);
+      if (!route) {
+        throw routeError(404, `Unknown message type: ${type}`);
+      }
+
+      const senderKind = this.getSenderKind(sender, external);
+      if (!route.senders.includes(senderKind)) {
+        throw routeError(403, `${type} is not available to ${senderKind || 'unknown'} senders`);
+      }
+
+      const invalid = this.validate(message, route.schema);
+      if (invalid) {
+        throw routeError(400, `${type}: ${invalid}`);
+      }
+
+      const controller = new AbortController();
+      const data = await withTimeout(
+        route.handler(message, sender, { signal: controller.signal }),
+        route.timeout,
+        type,
+        controller
+      );
+      return { ok: true, data: data ?? null, error: null };
+    } catch (error) {
+      if (!error.status) {
+        console.error('Message handler failed:', type, error);
+      }
+      return {
+        ok: false,
+        data: null,
+        error: { status: error.status || 500, message: error.message, code: error.code || null },
+      };
+    }
+  },
+
+  /**
+   * Classify a message's sender
+   * @param {Object} sender
+   * @param {boolean} external
+   * @returns {string|null} - One of SENDERS, or null if unrecognised
+   */
+  getSenderKind(sender, external = false) {
+    if (external) return SENDERS.EXTERNAL;
+    if (sender?.id !== browserAPI.runtime.id) return null;
+
+    const extensionOrigin = browserAPI.runtime.getURL('');
+    if (sender.url?.startsWith(extensionOrigin)) return SENDERS.POPUP;
+    if (sender.tab) return SENDERS.CONTENT;
+    return null;
+  },
+
+  /**
+   * Check a message against a schema
+   * @param {Object} message
+   * @param {Object} schema - { field: 'string' | 'number?' | ... }
+   * @returns {string|null} - What's wrong, or null if valid
+   */
+  validate(message, schema) {
+    for (const [field, fieldType] of Object.entries(schema)) {
+      const optional = fieldType.endsWith('?');
+      const baseType = fieldType.replace(/\?$/, '');
+      const value = message[field];
+
+      if (value === undefined || value === null) {
+        if (optional) continue;
+        return `${field} is required`;
+      }
+      if (!TYPES[baseType](value)) {
+        return `${field} must be ${baseType === 'array' || baseType === 'object' ? 'an' : 'a'} ${baseType}`;
+      }
+    }
+    return null;
+  },
+};
+
+/**
+ * Error carrying an HTTP-style status
+ */
+function routeError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Reject if a handler takes longer than its route allows, aborting the handler's signal
+ */
+function withTimeout(promise, timeout, type, controller) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = routeError(504, `${type} timed out`);
+        controller.abort(error);
+        reject(error);
+      }, timeout);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+export { SENDERS as MESSAGE_SENDERS };
@@ -0,0 +1,294 @@
+/**
+ * Usage Metering
+ * The one place checks are counted and limits enforced, used by the
+ * background script for the popup, the in-page button and bulk jobs.
+ * Limits come from Premium.getLimits(), overridden by the backend's signed
+ * quota while it's valid; the local counter is reported to the backend and
+ * raised to the backend's count when that's higher
+ */
+
+import { Storage } from './storage.js';
+import { Premium } from './premium.js';
+import { Signing } from './signing.js';
+
+// Metering configuration
+const CONFIG = {
+  QUOTA_URL: 'https://spot-checker.totalaudiopromo.com/api/usage',
+  RECONCILE_INTERVAL: 30 * 1000, // Minimum gap between usage reports
+};
+
+// Counter updates read-modify-write storage, so run them one at a time
+let queue = Promise.resolve();
+
+// Pending or last usage report
+let reconcileRun = null;
+let lastReconciled = 0;
+
+// Checks counted for lookups still in flight; not reported until they succeed
+let pendingChecks = 0;
+
+// Last stored quota token and its verified payload, so the signature is checked once per token
+let verifiedQuota = { token: null, quota: null };
+
+export const Metering = {
+  /**
+   * Limits in force and today's usage
+   * @returns {Promise<{dailyChecks: number, bulkLimit: number, used: number, remaining: number, signed: boolean}>}
+   */
+  async getStatus() {
+    const limits = await Premium.getLimits();
+    const quota = await this.getQuota();
+    // The backend's count is for the day it was issued; a quota from yesterday only sets limits
+    const quotaUsed = quota?.day === usageDay() ? quota.used || 0 : 0;
+    const used = Math.max(await Storage.getDailyUsage(), quotaUsed);
+
+    // JSON has no Infinity, so the backend sends null for unlimited
+    const dailyChecks = quota ? (quota.dailyChecks ?? Infinity) : limits.dailyChecks;
+    const bulkLimit = quota ? quota.bulkLimit : limits.bulkLimit;
+
+    return {
+      dailyChecks,
+      bulkLimit,
+      used,
+      remaining: Math.max(0, dailyChecks - used),
+      signed: !!quota,
+    };
+  },
+
+  /**
+   * Run a lookup that uses one check: counted before it starts, refunded if it fails
+   * The check is only reported to the backend once the lookup has succeeded, so a
+   * reconcile can't turn a refunded check back into a charge
+   * Throws DAILY_LIMIT (status 429) without running the lookup if no checks are left
+   * @param {function(): Promise<*>} lookup
+   * @param {Object} options - { signal: aborted when the result can no longer be delivered,
+   *   e.g. the message timed out; the check is then refunded and the signal's reason thrown }
+   * @returns {Promise<*>} - The lookup's result
+   */
+  async meterCheck(lookup, { signal = null } = {}) {
+    signal?.throwIfAborted();
+    const { dailyChecks } = await this.consume('check');
+    if (dailyChecks === Infinity) return lookup();
+
+    let result;
+    try {
+      result = await lookup();
+      signal?.throwIfAborted();
+    } catch (error) {
+      // Failed lookups don't use up a check
+      await this.refund('check');
+      throw error;
+    }
+    await this.confirm('check');
+    return result;
+  },
+
+  /**
+   * Count usage, or throw if the limits don't allow it
+   * Counted checks stay pending (unreported) until confirm() or refund(); meterCheck does both
+   * 'bulk' only enforces the bulk limit: each playlist is counted as a check when it's looked up
+   * Throws with error.code BULK_NOT_AVAILABLE or BULK_LIMIT (status 403), or DAILY_LIMIT (status 429)
+   * @param {string} action - 'check' (one lookup) or 'bulk' (starting a bulk job)
+   * @param {number} count - Checks for 'check', playlists for 'bulk'
+   * @returns {Promise<Object>} - Status after counting, as from getStatus
+   */
+  consume(action, count = 1) {
+    const run = queue
+      .catch(() => {})
+      .then(async () => {
+        const status = await this.getStatus();
+
+        if (action === 'bulk') {
+          if (status.bulkLimit <= 0) {
+            throw meterError(403, 'BULK_NOT_AVAILABLE', 'Bulk checks are a Premium feature');
+          }
+          if (count > status.bulkLimit) {
+            throw meterError(403, 'BULK_LIMIT', `Maximum ${status.bulkLimit} playlists at once`);
+          }
+          return status;
+        }
+
+        if (status.remaining < count) {
+          throw meterError(
+            429,
+            'DAILY_LIMIT',
+            `Daily limit of ${status.dailyChecks} checks reached`
+          );
+        }
+        if (status.dailyChecks === Infinity) {
+          return status;
+        }
+
+        const used = status.used + count;
+        await Storage.setDailyUsage(used);
+        pendingChecks += count;
+        return { ...status, used, remaining: status.remaining - count };
+      });
+
+    queue = run;
+    return run;
+  },
+
+  /**
+   * Mark pending checks as used (their lookups succeeded) and report them
+   * @param {string} action - 'check'
+   * @param {number} count
+   * @returns {Promise<void>}
+   */
+  confirm(action, count = 1) {
+    if (action !== 'check') return Promise.resolve();
+
+    queue = queue
+      .catch(() => {})
+      .then(() => {
+        pendingChecks = Math.max(0, pendingChecks - count);
+      });
+    queue.then(() => this.reconcile());
+    return queue;
+  },
+
+  /**
+   * Give back pending checks counted for lookups that failed
+   * @param {string} action - 'check'
+   * @param {number} count
+   * @returns {Promise<void>}
+   */
+  refund(action, count = 1) {
+    if (action !== 'check') return Promise.resolve();
+
+    queue = queue
+      .catch(() => {})
+      .then(async () => {
+        const used = await Storage.getDailyUsage();
+        await Storage.setDailyUsage(Math.max(0, used - count));
+        pendingChecks = Math.max(0, pendingChecks - count);
+      });
+    return queue;
+  },
+
+  /**
+   * Get the backend's signed quota if it's still valid
+   * The stored token is only verified when it changes; expiry is checked on every call
+   * @returns {Promise<Object|null>} - { installId, tier, dailyChecks, bulkLimit, used, day, issuedAt, expiresAt }
+   */
+  async getQuota() {
+    const token = await Storage.getUsageQuota();
+    if (token !== verifiedQuota.token) {
+      verifiedQuota = { token, quota: await this.verifyToken(token) };
+    }
+
+    const { quota } = verifiedQuota;
+    return quota && quota.expiresAt > Date.now() ? quota : null;
+  },
+
+  /**
+   * Verify a quota token: signature, this install and not expired
+   * @param {string} token
+   * @returns {Promise<Object|null>}
+   */
+  async verifyQuota(token) {
+    const quota = await this.verifyToken(token);
+    return quota && quota.expiresAt > Date.now() ? quota : null;
+  },
+
+  /**
+   * Verify a quota token's signature and install, whatever its expiry
+   * @param {string} token
+   * @returns {Promise<Object|null>}
+   */
+  async verifyToken(token) {
+    const quota = await Signing.verify(token, { type: 'usage-quota' });
+    if (!quota) return null;
+    if (quota.installId !== (await Storage.getInstallId())) return null;
+    if (typeof quota.expiresAt !== 'number') return null;
+    return quota;
+  },
+
+  /**
+   * Report today's usage to the backend and store the signed quota it returns
+   * Runs at most once per RECONCILE_INTERVAL unless forced; offline, the local limits keep applying
+   * @param {Object} options - { force }
+   * @returns {Promise<Object|null>} - The verified quota, or null
+   */
+  reconcile({ force = false } = {}) {
+    if (reconcileRun) return reconcileRun;
+    if (!force && Date.now() - lastReconciled < CONFIG.RECONCILE_INTERVAL) {
+      return Promise.resolve(null);
+    }
+
+    reconcileRun = this.fetchQuota().finally(() => {
+      lastReconciled = Date.now();
+      reconcileRun = null;
+    });
+    return reconcileRun;
+  },
+
+  /**
+   * POST usage to the backend and verify the reply
+   * @returns {Promise<Object|null>}
+   */
+  async fetchQuota() {
+    try {
+      const response = await fetch(CONFIG.QUOTA_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          installId: await Storage.getInstallId(),
+          email: await Premium.getEmail(),
+          subscriptionId: await Storage.get('subscriptionId'),
+          // Checks whose lookups haven't finished may still be refunded
+          checks: Math.max(0, (await Storage.getDailyUsage()) - pendingChecks),
+          day: usageDay(),
+        }),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const { token } = await response.json();
+      const quota = await this.verifyQuota(token);
+      if (!quota) {
+        console.warn('Usage quota rejected: bad signature, install or expiry');
+        return null;
+      }
+      await Storage.setUsageQuota(token);
+      verifiedQuota = { token, quota };
+
+      // Checks counted elsewhere for this account (or before a reinstall) count here too
+      queue = queue
+        .catch(() => {})
+        .then(async () => {
+          if (
+            quota.day === usageDay() &&
+            quota.used + pendingChecks > (await Storage.getDailyUsage())
+          ) {
+            await Storage.setDailyUsage(quota.used + pendingChecks);
+          }
+        });
+      await queue;
+
+      return quota;
+    } catch (error) {
+      console.warn('Usage reconcile failed:', error.message);
+      return null;
+    }
+  },
+};
+
+/**
+ * Today's date in this browser's time zone as YYYY-MM-DD (the day the local counter covers)
+ */
+function usageDay(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Error carrying an HTTP-style status and a code callers can match on
+ */
+function meterError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
@@ -1,9 +1,12 @@
 /**
  * Premium Feature Management
- * Handles subscription status, tier checks, and feature gating
+ * Handles subscription status, tier checks, and feature gating.
+ * The tier and limits come from a signed entitlement token issued by the
+ * backend, honoured offline until the token's grace window runs out
  */
 
 import { Storage } from './storage.js';
+import { Signing } from './signing.js';
 
 // Cross-browser API
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
@@ -24,6 +27,7 @@ const LIMITS = {
     export: false,
     botScore: false,
     api: false,
+    webhooks: false,
   },
   [TIERS.PREMIUM]: {
     dailyChecks: Infinity,
@@ -32,6 +36,7 @@ const LIMITS = {
     export: true,
     botScore: true,
     api: false,
+    webhooks: false,
   },
   [TIERS.PRO]: {
     dailyChecks: Infinity,
@@ -41,6 +46,7 @@ const LIMITS = {
     botScore: true,
     api: true,
     apiDailyLimit: 100,
+    webhooks: true,
   },
 };
 
@@ -51,27 +57,45 @@ const KEYS = {
   SUBSCRIPTION_ID: 'subscriptionId',
   TIER_EXPIRY: 'tierExpiry',
   LAST_VERIFIED: 'lastVerified',
+  ENTITLEMENT: 'entitlement',
 };
 
+// Entitlement configuration
+const CONFIG = {
+  VERIFY_URL: 'https://spot-checker.totalaudiopromo.com/api/subscription/verify',
+  MAX_GRACE: 14 * 24 * 60 * 60 * 1000, // Cap on a token's offline grace window past expiresAt
+  RETRY_INTERVAL: 15 * 60 * 1000, // Gap between renewal attempts once a token has expired
+};
+
+// Entitlement states
+const STATES = {
+  NONE: 'none', // No valid token: free tier
+  ACTIVE: 'active', // Token current
+  GRACE: 'grace', // Token expired but inside its offline grace window
+  EXPIRED: 'expired', // Grace window over: free tier until renewed
+};
+
+// Pending renewal and when the last one was tried
+let verifyRun = null;
+let lastVerifyAttempt = 0;
+
+// Verified payload of the stored entitlement token (see loadEntitlement)
+let entitlementLoad = null;
+
+// A token stored by another context (popup or background script) replaces this one's copy
+browserAPI.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && KEYS.ENTITLEMENT in changes) {
+    entitlementLoad = null;
+  }
+});
+
 export const Premium = {
   /**
-   * Get current user tier
+   * Get current user tier (from the entitlement token, renewed when due)
    * @returns {Promise<string>}
    */
   async getTier() {
-    // Check cached tier first
-    const tier = await Storage.get(KEYS.TIER, TIERS.FREE);
-    const expiry = await Storage.get(KEYS.TIER_EXPIRY, 0);
-
-    // If tier is premium/pro, verify it's still valid
-    if (tier !== TIERS.FREE && expiry > 0) {
-      if (Date.now() > expiry) {
-        // Expired - reverify with server
-        return await this.verifySubscription();
-      }
-    }
-
-    return tier;
+    return (await this.resolveEntitlement()).tier;
   },
 
   /**
@@ -79,8 +103,77 @@ export const Premium = {
    * @returns {Promise<Object>}
    */
   async getLimits() {
-    const tier = await this.getTier();
-    return LIMITS[tier] || LIMITS[TIERS.FREE];
+    const { tier, limits } = await this.resolveEntitlement();
+    return tier === TIERS.FREE ? LIMITS[TIERS.FREE] : limits;
+  },
+
+  /**
+   * Entitlement status, renewing the token first if it has expired
+   * @returns {Promise<Object>} - As from getEntitlementStatus
+   */
+  async resolveEntitlement() {
+    const status = await this.getEntitlementStatus();
+    if (status.state !== STATES.GRACE && status.state !== STATES.EXPIRED) {
+      return status;
+    }
+
+    if (Date.now() - lastVerifyAttempt >= CONFIG.RETRY_INTERVAL) {
+      await this.verifySubscription();
+      return this.getEntitlementStatus();
+    }
+    return status;
+  },
+
+  /**
+   * Entitlement status from the stored token, without contacting the backend
+   * The token is verified once and kept in memory until it changes; the state is
+   * worked out from the clock on every call, so expiry is never missed
+   * @returns {Promise<{tier: string, state: string, limits: Object, expiresAt: number|null, graceUntil: number|null}>}
+   */
+  async getEntitlementStatus() {
+    const entitlement = await loadEntitlement();
+    if (!entitlement) {
+      return {
+        tier: TIERS.FREE,
+        state: STATES.NONE,
+        limits: LIMITS[TIERS.FREE],
+        expiresAt: null,
+        graceUntil: null,
+      };
+    }
+
+    const now = Date.now();
+    const graceUntil = Math.min(
+      entitlement.graceUntil || entitlement.expiresAt,
+      entitlement.expiresAt + CONFIG.MAX_GRACE
+    );
+    const state =
+      now < entitlement.expiresAt
+        ? STATES.ACTIVE
+        : now < graceUntil
+          ? STATES.GRACE
+          : STATES.EXPIRED;
+
+    return {
+      tier: state === STATES.EXPIRED ? TIERS.FREE : entitlement.tier,
+      state,
+      limits: { ...LIMITS[TIERS.FREE], ...readLimits(entitlement.limits) },
+      expiresAt: entitlement.expiresAt,
+      graceUntil,
+    };
+  },
+
+  /**
+   * Verify an entitlement token: signature, known tier and issued to this install
+   * @param {string} token
+   * @returns {Promise<Object|null>} - Payload { tier, limits, installId, issuedAt, expiresAt, graceUntil }
+   */
+  async verifyEntitlement(token) {
+    const entitlement = await Signing.verify(token, { type: 'entitlement' });
+    if (!entitlement || !LIMITS[entitlement.tier]) return null;
+    if (typeof entitlement.expiresAt !== 'number') return null;
+    if (entitlement.installId !== (await Storage.getInstallId())) return null;
+    return entitlement;
   },
 
   /**
@@ -99,8 +192,7 @@ export const Premium = {
    * @returns {Promise<{allowed: boolean, remaining: number}>}
    */
   async canPerform(action) {
-    const tier = await this.getTier();
-    const limits = LIMITS[tier];
+    const limits = await this.getLimits();
 
     if (action === 'check') {
       if (limits.dailyChecks === Infinity) {
@@ -141,29 +233,43 @@ export const Premium = {
   },
 
   /**
-   * Verify subscription status with backend
+   * Verify subscription status with backend and store the signed entitlement it returns
+   * If the backend can't be reached, the stored token applies until its grace window ends
    * @returns {Promise<string>} - Current tier
    */
-  async verifySubscription() {
+  verifySubscription() {
+    if (!verifyRun) {
+      lastVerifyAttempt = Date.now();
+      verifyRun = this.fetchEntitlement().finally(() => {
+        verifyRun = null;
+      });
+    }
+    return verifyRun;
+  },
+
+  /**
+   * Ask the backend for a fresh entitlement token
+   * @returns {Promise<string>} - Current tier
+   */
+  async fetchEntitlement() {
     const email = await Storage.get(KEYS.EMAIL);
     const subscriptionId = await Storage.get(KEYS.SUBSCRIPTION_ID);
 
     if (!email && !subscriptionId) {
-      await this.setTier(TIERS.FREE);
+      await this.clearEntitlement();
       return TIERS.FREE;
     }
 
     try {
-      const response = await fetch(
-        'https://spot-checker.totalaudiopromo.com/api/subscription/verify',
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ email, subscriptionId }),
-        }
-      );
+      const session = await Storage.getAuthSession();
+      const response = await fetch(CONFIG.VERIFY_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(session && { Authorization: `Bearer ${session}` }),
+        },
+        body: JSON.stringify({ email, subscriptionId, installId: await Storage.getInstallId() }),
+      });
 
       if (!response.ok) {
         throw new Error('Verification failed');
@@ -171,44 +277,84 @@ export const Premium = {
 
       const data = await response.json();
 
-      if (data.active) {
-        await this.setTier(data.tier, data.expiresAt);
-        return data.tier;
-      } else {
-        await this.setTier(TIERS.FREE);
+      if (!data.active) {
+        await this.clearEntitlement();
         return TIERS.FREE;
       }
+
+      const entitlement = await this.saveEntitlement(data.entitlement);
+      if (!entitlement) {
+        throw new Error('Entitlement token failed verification');
+      }
+      return entitlement.tier;
     } catch (error) {
       console.error('Subscription verification failed:', error);
 
-      // On error, keep current tier but mark for reverification
-      const currentTier = await Storage.get(KEYS.TIER, TIERS.FREE);
-      return currentTier;
+      // Offline or server error: the stored token's grace window decides
+      return (await this.getEntitlementStatus()).tier;
     }
   },
 
   /**
-   * Set user tier
-   * @param {string} tier
-   * @param {number} expiresAt - Unix timestamp (optional)
+   * Verify and store an entitlement token
+   * @param {string} token
+   * @returns {Promise<Object|null>} - The payload, or null if the token was rejected (nothing stored)
    */
-  async setTier(tier, expiresAt = null) {
-    await Storage.set(KEYS.TIER, tier);
+  async saveEntitlement(token) {
+    const entitlement = await this.verifyEntitlement(token);
+    if (!entitlement) return null;
+
+    await Storage.set(KEYS.ENTITLEMENT, token);
+    entitlementLoad = Promise.resolve(entitlement);
+    // Plain copies for display only; gating reads the token
+    await Storage.set(KEYS.TIER, entitlement.tier);
+    await Storage.set(KEYS.TIER_EXPIRY, entitlement.expiresAt);
     await Storage.set(KEYS.LAST_VERIFIED, Date.now());
+    return entitlement;
+  },
 
-    if (expiresAt) {
-      await Storage.set(KEYS.TIER_EXPIRY, expiresAt);
-    }
+  /**
+   * Drop the entitlement (back to the free tier)
+   * @returns {Promise<void>}
+   */
+  async clearEntitlement() {
+    await Storage.remove(KEYS.ENTITLEMENT);
+    entitlementLoad = Promise.resolve(null);
+    await Storage.remove(KEYS.TIER_EXPIRY);
+    await Storage.set(KEYS.TIER, TIERS.FREE);
+    await Storage.set(KEYS.LAST_VERIFIED, Date.now());
   },
 
   /**
    * Handle successful payment
-   * @param {Object} data - { email, subscriptionId, tier }
+   * @param {Object} data - { email, subscriptionId, entitlement }
    */
   async handlePaymentSuccess(data) {
+    await this.signIn(data);
+  },
+
+  /**
+   * Sign in: store the account, then activate its plan and merge its cloud data
+   * @param {Object} data - { email, subscriptionId, entitlement } (subscriptionId null without a plan)
+   */
+  async signIn(data) {
+    // Another account's plan doesn't carry over
+    if (data.email !== (await this.getEmail())) {
+      await Storage.remove(KEYS.ENTITLEMENT);
+      entitlementLoad = Promise.resolve(null);
+    }
+
     await Storage.set(KEYS.EMAIL, data.email);
-    await Storage.set(KEYS.SUBSCRIPTION_ID, data.subscriptionId);
-    await this.setTier(data.tier, data.expiresAt);
+    if (data.subscriptionId) {
+      await Storage.set(KEYS.SUBSCRIPTION_ID, data.subscriptionId);
+    } else {
+      await Storage.remove(KEYS.SUBSCRIPTION_ID);
+    }
+
+    // Use the token sent with the payment or sign-in, or fetch one
+    if (!(await this.saveEntitlement(data.entitlement))) {
+      await this.verifySubscription();
+    }
 
     // Sync tracked playlists to cloud
     await Storage.syncWithCloud(data.email);
@@ -220,8 +366,9 @@ export const Premium = {
   async signOut() {
     await Storage.remove(KEYS.EMAIL);
     await Storage.remove(KEYS.SUBSCRIPTION_ID);
-    await Storage.remove(KEYS.TIER_EXPIRY);
-    await this.setTier(TIERS.FREE);
+    await Storage.setAuthSession(null);
+    await Storage.setPendingSignIn(null);
+    await this.clearEntitlement();
   },
 
   /**
@@ -260,19 +407,51 @@ export const Premium = {
   },
 
   /**
-   * Listen for subscription updates from backend
+   * Listen for subscription updates from the background script
+   * Only claims the response for SUBSCRIPTION_UPDATED, so other listeners still answer theirs
    */
   setupSubscriptionListener() {
-    // Listen for messages from background script
     browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      if (message.type === 'SUBSCRIPTION_UPDATED') {
-        this.handlePaymentSuccess(message.data);
-        sendResponse({ success: true });
-      }
+      if (message?.type !== 'SUBSCRIPTION_UPDATED') return false;
+
+      this.handlePaymentSuccess(message.data).then(
+        () => sendResponse({ ok: true, data: null, error: null }),
+        error =>
+          sendResponse({ ok: false, data: null, error: { status: 500, message: error.message } })
+      );
       return true;
     });
   },
 };
 
+/**
+ * Verified payload of the stored entitlement token, or null
+ * Shared by every caller until the stored token changes, so one popup render or
+ * metered check doesn't re-read storage and re-check the signature each time
+ */
+function loadEntitlement() {
+  if (!entitlementLoad) {
+    const load = Storage.get(KEYS.ENTITLEMENT).then(token => Premium.verifyEntitlement(token));
+    entitlementLoad = load;
+    // Try again next time rather than keep a failed read
+    load.catch(() => {
+      if (entitlementLoad === load) entitlementLoad = null;
+    });
+  }
+  return entitlementLoad;
+}
+
+/**
+ * Feature limits from an entitlement payload; JSON has no Infinity, so null means unlimited
+ */
+function readLimits(limits) {
+  const result = {};
+  for (const key of Object.keys(LIMITS[TIERS.PRO])) {
+    if (limits?.[key] === undefined) continue;
+    result[key] = limits[key] === null ? Infinity : limits[key];
+  }
+  return result;
+}
+
 // Tier constants export
-export { TIERS, LIMITS };
+export { TIERS, LIMITS, STATES as ENTITLEMENT_STATES };
@@ -0,0 +1,352 @@
+/**
+ * Validation Report
+ * Builds a branded, self-contained HTML due-diligence report (printable to PDF)
+ * from single-check and bulk results
+ */
+
+// Report configuration
+const CONFIG = {
+  HISTORY_ROWS: 10, // Most recent follower history entries listed per playlist
+  CHART_WIDTH: 480,
+  CHART_HEIGHT: 80,
+};
+
+// Logo data URLs accepted from settings (rendered through <img>, never inline markup)
+const LOGO_PATTERN = /^data:image\/(png|jpeg|gif|webp|svg\+xml);base64,[a-z0-9+/=]+$/i;
+
+export const Report = {
+  /**
+   * Build the report document
+   * @param {Array<Object>} entries - [{ playlist, botData, history, curator }]
+   * @param {Object} branding - { agencyName, logo }
+   * @returns {string} - Complete HTML document
+   */
+  build(entries, branding = {}) {
+    const agencyName = branding.agencyName?.trim() || 'Spot Checker';
+    const logo = LOGO_PATTERN.test(branding.logo || '') ? branding.logo : null;
+    const generated = new Date().toLocaleString();
+    const title = entries.length === 1 ? entries[0].playlist.name : `${entries.length} playlists`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(`${agencyName} - Playlist report - ${title}`)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header class="report-header">
+  ${logo ? `<img class="logo" src="${logo}" alt="">` : ''}
+  <div>
+    <h1>${escapeHtml(agencyName)}</h1>
+    <p class="muted">Playlist validation report · ${escapeHtml(generated)}</p>
+  </div>
+  <button class="print" onclick="window.print()">Print / Save as PDF</button>
+</header>
+${entries.length > 1 ? this.buildSummary(entries) : ''}
+${entries.map(entry => this.buildPlaylist(entry)).join('\n')}
+<footer class="muted">Prepared by ${escapeHtml(agencyName)} with Spot Checker. Scores are rule-based indicators, not proof of artificial streams.</footer>
+</body>
+</html>`;
+  },
+
+  /**
+   * Overview table for multi-playlist reports
+   * @param {Array<Object>} entries
+   * @returns {string}
+   */
+  buildSummary(entries) {
+    const rows = entries
+      .map(
+        ({ playlist, botData }) => `<tr>
+  <td>${escapeHtml(playlist.name)}</td>
+  <td>${escapeHtml(playlist.owner?.display_name || '')}</td>
+  <td class="num">${formatNumber(playlist.followers?.total || 0)}</td>
+  <td class="num">${botData ? `<span class="level ${levelClass(botData.level)}">${botData.score}%</span>` : '-'}</td>
+</tr>`
+      )
+      .join('');
+
+    return `<section class="card">
+  <h2>Summary</h2>
+  <table>
+    <thead><tr><th>Playlist</th><th>Curator</th><th class="num">Followers</th><th class="num">Bot risk</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>
+</section>`;
+  },
+
+  /**
+   * Section for a single playlist
+   * @param {Object} entry - { playlist, botData, history, curator }
+   * @returns {string}
+   */
+  buildPlaylist({ playlist, botData, history = [], curator = null }) {
+    const image = playlist.image || playlist.images?.[0]?.url;
+    const url = safeUrl(playlist.external_urls?.spotify);
+
+    return `<section class="card playlist">
+  <div class="playlist-header">
+    ${image ? `<img class="artwork" src="${escapeHtml(safeUrl(image) || '')}" alt="">` : ''}
+    <div>
+      <h2>${escapeHtml(playlist.name)}</h2>
+      <p class="muted">by ${escapeHtml(playlist.owner?.display_name || 'Unknown curator')}</p>
+      ${url ? `<p><a href="${escapeHtml(url)}">${escapeHtml(url)}</a></p>` : ''}
+    </div>
+  </div>
+  <div class="metrics">
+    ${metric('Followers', formatNumber(playlist.followers?.total || 0))}
+    ${metric('Tracks', String(playlist.tracks?.total || 0))}
+    ${metric('Visibility', playlist.public === false ? 'Private' : 'Public')}
+    ${botData ? metric('Bot risk', `${botData.score}%`, levelClass(botData.level)) : ''}
+  </div>
+  ${botData ? this.buildFactors('Bot score breakdown', botData.factors) : ''}
+  ${this.buildHistory(history)}
+  ${curator ? this.buildCurator(curator) : ''}
+</section>`;
+  },
+
+  /**
+   * Factor table with weights and explanations
+   * @param {string} heading
+   * @param {Array<Object>} factors
+   * @returns {string}
+   */
+  buildFactors(heading, factors = []) {
+    const rows = factors
+      .map(
+        f => `<tr>
+  <td><span class="level ${factorClass(f)}">${escapeHtml(f.label)}</span></td>
+  <td class="num">${f.weight > 0 ? `+${f.weight}` : '-'}</td>
+  <td>${escapeHtml(f.explanation || '')}</td>
+</tr>`
+      )
+      .join('');
+
+    return `<h3>${escapeHtml(heading)}</h3>
+<table>
+  <thead><tr><th>Factor</th><th class="num">Weight</th><th>Why it matters</th></tr></thead>
+  <tbody>${rows}</tbody>
+</table>`;
+  },
+
+  /**
+   * Follower history chart and recent entries
+   * @param {Array<{followers: number, timestamp: number}>} history - Newest first
+   * @returns {string}
+   */
+  buildHistory(history) {
+    if (!history.length) {
+      return `<h3>Follower history</h3>
+<p class="muted">Not tracked yet. Track this playlist to build follower history.</p>`;
+    }
+
+    const rows = history
+      .slice(0, CONFIG.HISTORY_ROWS)
+      .map(
+        h => `<tr><td>${escapeHtml(new Date(h.timestamp).toLocaleDateString())}</td>
+<td class="num">${formatNumber(h.followers || 0)}</td></tr>`
+      )
+      .join('');
+
+    return `<h3>Follower history</h3>
+${history.length > 1 ? sparkline(history) : ''}
+<table>
+  <thead><tr><th>Date</th><th class="num">Followers</th></tr></thead>
+  <tbody>${rows}</tbody>
+</table>`;
+  },
+
+  /**
+   * Curator profile and curator score
+   * @param {Object} curator - Result of CuratorAnalysis.analyse
+   * @returns {string}
+   */
+  buildCurator({ profile, score, level, factors }) {
+    const stats = [
+      `${formatNumber(profile.followers)} followers`,
+      `${profile.publicPlaylists} public playlists`,
+    ];
+    if (profile.followerSpread !== null) {
+      stats.push(`${Math.round(profile.followerSpread * 100)}% follower spread`);
+    }
+
+    return `<h3>Curator: ${escapeHtml(profile.name)} <span class="level ${levelClass(level)}">${score}%</span></h3>
+<p class="muted">${escapeHtml(stats.join(' · '))}</p>
+${this.buildFactors('Curator factors', factors)}`;
+  },
+
+  /**
+   * Replace remote artwork with data URLs so the report works offline
+   * Images that can't be fetched keep their remote URL
+   * @param {Array<Object>} entries
+   * @returns {Promise<Array<Object>>}
+   */
+  async embedImages(entries) {
+    return Promise.all(
+      entries.map(async entry => {
+        const src = entry.playlist.images?.[0]?.url;
+        if (!src) return entry;
+
+        try {
+          const response = await fetch(src);
+          if (!response.ok) return entry;
+          const image = await blobToDataUrl(await response.blob());
+          return { ...entry, playlist: { ...entry.playlist, image } };
+        } catch (error) {
+          return entry;
+        }
+      })
+    );
+  },
+
+  /**
+   * Build, then download the report as an .html file
+   * @param {Array<Object>} entries
+   * @param {Object} branding
+   * @returns {Promise<void>}
+   */
+  async download(entries, branding) {
+    const html = this.build(await this.embedImages(entries), branding);
+    const blob = new Blob([html], { type: 'text/html' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `playlist-report-${Date.now()}.html`;
+    a.click();
+    URL.revokeObjectURL(url);
+  },
+
+  /**
+   * Whether a logo data URL is usable in reports
+   * @param {string} dataUrl
+   * @returns {boolean}
+   */
+  isValidLogo(dataUrl) {
+    return LOGO_PATTERN.test(dataUrl || '');
+  },
+};
+
+/**
+ * Escape text for HTML content and attribute values
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Only allow http(s) and image data URLs into src/href attributes
+ */
+function safeUrl(url) {
+  if (!url) return null;
+  if (/^https?:\/\//i.test(url) || /^data:image\//i.test(url)) return url;
+  return null;
+}
+
+/**
+ * Metric tile markup
+ */
+function metric(label, value, className = '') {
+  return `<div class="metric"><span class="metric-value ${className}">${escapeHtml(value)}</span><span class="muted">${escapeHtml(label)}</span></div>`;
+}
+
+/**
+ * CSS class for a score level
+ */
+function levelClass(level) {
+  return ['low', 'medium', 'high'].includes(level) ? level : '';
+}
+
+/**
+ * CSS class for a factor badge (danger/warning/positive)
+ */
+function factorClass(factor) {
+  if (factor.level === 'danger') return 'high';
+  if (factor.level === 'warning') return 'medium';
+  return 'low';
+}
+
+/**
+ * Inline SVG line chart of follower counts (oldest on the left)
+ */
+function sparkline(history) {
+  const points = [...history].reverse();
+  const values = points.map(h => h.followers || 0);
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const { CHART_WIDTH: width, CHART_HEIGHT: height } = CONFIG;
+
+  const coords = values
+    .map((v, i) => {
+      const x = (i / (values.length - 1)) * width;
+      const y = height - ((v - min) / range) * (height - 8) - 4;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none"><polyline points="${coords}" fill="none" stroke="#1DB954" stroke-width="2"/></svg>`;
+}
+
+/**
+ * Format number helper
+ */
+function formatNumber(num) {
+  if (num >= 1000000) return `${(num / 1000000).toFixed(1)}M`;
+  if (num >= 1000) return `${(num / 1000).toFixed(1)}K`;
+  return String(num);
+}
+
+/**
+ * Read a blob as a data URL
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Report stylesheet (print-friendly, no external assets)
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0 auto; max-width: 860px; padding: 32px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #191414; background: #fff; }
+  .report-header { display: flex; align-items: center; gap: 16px; padding-bottom: 16px; margin-bottom: 24px; border-bottom: 3px solid #1DB954; }
+  .report-header h1 { margin: 0; font-size: 24px; }
+  .logo { max-height: 56px; max-width: 160px; }
+  .print { margin-left: auto; padding: 8px 16px; border: 1px solid #ccc; border-radius: 6px; background: #fff; cursor: pointer; }
+  .card { padding: 20px; margin-bottom: 24px; border: 1px solid #e5e5e5; border-radius: 10px; page-break-inside: avoid; }
+  .playlist { page-break-before: auto; }
+  .playlist-header { display: flex; gap: 16px; align-items: center; }
+  .playlist-header h2 { margin: 0 0 4px; }
+  .artwork { width: 96px; height: 96px; border-radius: 6px; object-fit: cover; }
+  .metrics { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; margin: 16px 0; }
+  .metric { display: flex; flex-direction: column; padding: 12px; background: #f6f6f6; border-radius: 8px; }
+  .metric-value { font-size: 20px; font-weight: 700; }
+  h3 { margin: 20px 0 8px; font-size: 15px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { padding: 6px 8px; text-align: left; border-bottom: 1px solid #eee; vertical-align: top; }
+  th { color: #666; font-weight: 600; }
+  .num { text-align: right; white-space: nowrap; }
+  .level { display: inline-block; padding: 2px 8px; border-radius: 4px; font-weight: 600; }
+  .level.low { background: rgba(29, 185, 84, 0.15); color: #128a3e; }
+  .level.medium { background: rgba(245, 158, 11, 0.15); color: #b45309; }
+  .level.high { background: rgba(239, 68, 68, 0.15); color: #b91c1c; }
+  .chart { width: 100%; height: 80px; margin-bottom: 8px; }
+  .muted { color: #666; font-size: 13px; margin: 0; }
+  a { color: #128a3e; word-break: break-all; }
+  footer { margin-top: 32px; text-align: center; }
+  @media print {
+    body { padding: 0; }
+    .print { display: none; }
+    .card { border: none; padding: 0; }
+    .playlist + .playlist { page-break-before: always; }
+  }
+`;
@@ -0,0 +1,100 @@
+/**
+ * Signed Tokens
+ * Verifies documents signed by the Spot Checker backend (usage quotas and the
+ * like), so values cached in extension storage can't simply be edited
+ *
+ * Token format: base64url(JSON payload) + '.' + base64url(ECDSA P-256 / SHA-256
+ * signature over the first part, raw r||s)
+ */
+
+// Backend signing key (public half; the backend holds the private key)
+const CONFIG = {
+  PUBLIC_KEY: {
+    kty: 'EC',
+    crv: 'P-256',
+    x: 'ArgF2887Go0RQU9OMus--GeVCfFGRFNmu9YmGAug_S4',
+    y: 'FvOmpxjd4Jk4AvcyBSCPCT79II0AzKW8WOLmWISGY4M',
+  },
+  CLOCK_SKEW: 5 * 60 * 1000, // Tolerance for issuedAt being ahead of the local clock
+};
+
+// Imported once per context
+let publicKey = null;
+
+export const Signing = {
+  /**
+   * Verify a token and return its payload
+   * @param {string} token
+   * @param {Object} options - { type: required payload type }
+   * @returns {Promise<Object|null>} - Payload, or null if the signature, type or timestamps don't check out
+   */
+  async verify(token, { type = null } = {}) {
+    if (typeof token !== 'string') return null;
+
+    const [encodedPayload, encodedSignature, extra] = token.split('.');
+    if (!encodedPayload || !encodedSignature || extra !== undefined) return null;
+
+    try {
+      const valid = await crypto.subtle.verify(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        await getPublicKey(),
+        fromBase64Url(encodedSignature),
+        new TextEncoder().encode(encodedPayload)
+      );
+      if (!valid) return null;
+
+      const payload = this.decode(token);
+      if (!payload || (type && payload.type !== type)) return null;
+      if (
+        typeof payload.issuedAt === 'number' &&
+        payload.issuedAt > Date.now() + CONFIG.CLOCK_SKEW
+      ) {
+        return null;
+      }
+      return payload;
+    } catch (error) {
+      console.warn('Token verification failed:', error.message);
+      return null;
+    }
+  },
+
+  /**
+   * Read a token's payload without verifying it (for display only)
+   * @param {string} token
+   * @returns {Object|null}
+   */
+  decode(token) {
+    try {
+      const json = new TextDecoder().decode(fromBase64Url(token.split('.')[0]));
+      const payload = JSON.parse(json);
+      return payload && typeof payload === 'object' ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  },
+};
+
+/**
+ * Import the backend's public key
+ */
+async function getPublicKey() {
+  if (!publicKey) {
+    publicKey = await crypto.subtle.importKey(
+      'jwk',
+      CONFIG.PUBLIC_KEY,
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      false,
+      ['verify']
+    );
+  }
+  return publicKey;
+}
+
+/**
+ * Decode base64url to bytes
+ */
+function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
@@ -0,0 +1,113 @@
+/**
+ * Snapshot Diffing
+ * Compares stored track lists of a playlist between snapshot_id changes
+ */
+
+export const SnapshotDiff = {
+  /**
+   * Reduce playlist items to what a snapshot needs to store
+   * @param {Array} items - Playlist track items ({ track })
+   * @returns {Array<{id: string, name: string, artist: string}>}
+   */
+  toSnapshotTracks(items) {
+    return items
+      .map(item => item.track)
+      .filter(track => track?.id)
+      .map(track => ({
+        id: track.id,
+        name: track.name,
+        artist: track.artists?.map(a => a.name).join(', ') || '',
+      }));
+  },
+
+  /**
+   * Diff two snapshots
+   * Moved tracks are the minimal set that changed relative order, so one
+   * track jumping to the top doesn't mark everything it passed as moved
+   * @param {Object} previous - { snapshotId, timestamp, tracks }
+   * @param {Object} current - { snapshotId, timestamp, tracks }
+   * @returns {{added: Array, removed: Array, moved: Array}}
+   */
+  diff(previous, current) {
+    const previousIndex = new Map(previous.tracks.map((t, i) => [t.id, i]));
+    const currentIndex = new Map(current.tracks.map((t, i) => [t.id, i]));
+
+    const added = current.tracks
+      .map((track, i) => ({ track, position: i + 1 }))
+      .filter(({ track }) => !previousIndex.has(track.id));
+
+    const removed = previous.tracks
+      .map((track, i) => ({ track, position: i + 1 }))
+      .filter(({ track }) => !currentIndex.has(track.id));
+
+    // Tracks kept in both, in current order, with their previous index
+    const kept = current.tracks.filter(t => previousIndex.has(t.id));
+    const stable = longestIncreasingSubsequence(kept.map(t => previousIndex.get(t.id)));
+    const stableIds = new Set([...stable].map(i => kept[i].id));
+
+    const moved = kept
+      .filter(track => !stableIds.has(track.id))
+      .map(track => ({
+        track,
+        from: previousIndex.get(track.id) + 1,
+        to: currentIndex.get(track.id) + 1,
+      }));
+
+    return { added, removed, moved };
+  },
+
+  /**
+   * Summarise how often a playlist is rotated
+   * @param {Array} snapshots - Newest first
+   * @returns {{changes: number, tracksChanged: number, avgDaysBetween: number|null}}
+   */
+  rotationStats(snapshots) {
+    let tracksChanged = 0;
+
+    for (let i = 0; i < snapshots.length - 1; i++) {
+      const { added, removed } = this.diff(snapshots[i + 1], snapshots[i]);
+      tracksChanged += added.length + removed.length;
+    }
+
+    const changes = Math.max(0, snapshots.length - 1);
+    let avgDaysBetween = null;
+    if (changes > 0) {
+      const span = snapshots[0].timestamp - snapshots[snapshots.length - 1].timestamp;
+      avgDaysBetween = span / changes / (1000 * 60 * 60 * 24);
+    }
+
+    return { changes, tracksChanged, avgDaysBetween };
+  },
+};
+
+/**
+ * Indexes (into values) of one longest strictly increasing subsequence
+ * @param {Array<number>} values
+ * @returns {Set<number>}
+ */
+function longestIncreasingSubsequence(values) {
+  const tails = []; // Index into values of the smallest tail for each length
+  const parents = new Array(values.length).fill(-1);
+
+  values.forEach((value, i) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+
+    if (low > 0) parents[i] = tails[low - 1];
+    tails[low] = i;
+  });
+
+  const result = new Set();
+  let i = tails.length ? tails[tails.length - 1] : -1;
+  while (i >= 0) {
+    result.add(i);
+    i = parents[i];
+  }
+
+  return result;
+}
@@ -1,20 +1,32 @@
 /**
  * Spotify API Wrapper
  * Handles authentication and playlist data fetching
+ * All requests go through one retrying, concurrency-limited request layer
  */
 
+import { Http } from './http.js';
+
 // API Configuration
 const CONFIG = {
   API_BASE: 'https://api.spotify.com/v1',
   TOKEN_ENDPOINT: 'https://spot-checker.totalaudiopromo.com/api/spotify-token',
   // Fallback to direct Spotify auth for development
   CLIENT_ID: 'YOUR_SPOTIFY_CLIENT_ID', // Replace in production
+  // Max simultaneous Spotify requests from this extension context
+  MAX_CONCURRENT: 4,
+  // Default field selection for playlist lookups (first page of added_at dates, reduced to
+  // tracks.firstAddedAt/lastAddedAt so stored playlists don't keep the items)
+  PLAYLIST_FIELDS:
+    'id,name,description,public,collaborative,followers,tracks(total,items(added_at)),images,owner(id,display_name,external_urls),external_urls,snapshot_id',
 };
 
 // Token cache
 let accessToken = null;
 let tokenExpiry = 0;
 
+// Shared by every caller in this context, so bulk checks can't flood the API
+const limiter = Http.createLimiter(CONFIG.MAX_CONCURRENT);
+
 export const SpotifyAPI = {
   /**
    * Extract playlist ID from various Spotify URL formats
@@ -46,6 +58,28 @@ export const SpotifyAPI = {
     return null;
   },
 
+  /**
+   * Extract an artist or track ID from a Spotify URL or URI
+   * @param {string} url
+   * @param {string} type - 'artist' or 'track'
+   * @returns {string|null}
+   */
+  extractEntityId(url, type) {
+    if (!url) return null;
+
+    const patterns = [
+      new RegExp(`open\\.spotify\\.com/(?:intl-[a-z-]+/)?${type}/([a-zA-Z0-9]+)`),
+      new RegExp(`spotify:${type}:([a-zA-Z0-9]+)`),
+    ];
+
+    for (const pattern of patterns) {
+      const match = url.match(pattern);
+      if (match) return match[1];
+    }
+
+    return null;
+  },
+
   /**
    * Get a valid access token
    * Uses backend proxy to avoid exposing client secret
@@ -58,7 +92,7 @@ export const SpotifyAPI = {
     }
 
     try {
-      const response = await fetch(CONFIG.TOKEN_ENDPOINT, {
+      const response = await Http.fetchWithRetry(CONFIG.TOKEN_ENDPOINT, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -81,29 +115,59 @@ export const SpotifyAPI = {
   },
 
   /**
-   * Fetch playlist data from Spotify API
-   * @param {string} playlistId
+   * Make an authenticated GET request to the Spotify API
+   * Retries 429 (honouring Retry-After), 5xx and network errors with backoff,
+   * and refreshes the token once on 401
+   * @param {string} path - Path relative to the API base, or a full API URL
+   * @param {string} errorMessage - Message for the thrown error
    * @returns {Promise<Object>}
    */
-  async getPlaylist(playlistId) {
-    const token = await this.getAccessToken();
-
-    const response = await fetch(
-      `${CONFIG.API_BASE}/playlists/${playlistId}?fields=id,name,description,public,collaborative,followers,tracks(total),images,owner(id,display_name,external_urls),external_urls,snapshot_id`,
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
+  async request(path, errorMessage = 'Spotify request failed') {
+    const url = path.startsWith('http') ? path : `${CONFIG.API_BASE}${path}`;
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const token = await this.getAccessToken();
+
+      const response = await Http.fetchWithRetry(
+        url,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
         },
+        { limiter }
+      );
+
+      if (response.ok) {
+        return response.json();
       }
-    );
 
-    if (!response.ok) {
-      const error = new Error('Failed to fetch playlist');
+      // Token expired early - drop the cache and try once more
+      if (response.status === 401 && attempt === 0) {
+        accessToken = null;
+        continue;
+      }
+
+      const error = new Error(errorMessage);
       error.status = response.status;
+      error.retryAfter = Http.parseRetryAfter(response.headers.get('Retry-After'));
       throw error;
     }
+  },
 
-    return response.json();
+  /**
+   * Fetch playlist data from Spotify API
+   * Any tracks.items come back as tracks.firstAddedAt and tracks.lastAddedAt instead
+   * @param {string} playlistId
+   * @param {string} fields - Spotify field selection (defaults to what the UI needs)
+   * @returns {Promise<Object>}
+   */
+  async getPlaylist(playlistId, fields = CONFIG.PLAYLIST_FIELDS) {
+    const playlist = await this.request(
+      `/playlists/${playlistId}?fields=${fields}`,
+      'Failed to fetch playlist'
+    );
+    return summariseAddedDates(playlist);
   },
 
   /**
@@ -111,42 +175,31 @@ export const SpotifyAPI = {
    * @param {string} playlistId
    * @param {number} limit
    * @param {number} offset
+   * @param {string|null} fields - Optional field selection (must include items and total)
    * @returns {Promise<Object>}
    */
-  async getPlaylistTracks(playlistId, limit = 100, offset = 0) {
-    const token = await this.getAccessToken();
-
-    const response = await fetch(
-      `${CONFIG.API_BASE}/playlists/${playlistId}/tracks?limit=${limit}&offset=${offset}`,
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      }
+  async getPlaylistTracks(playlistId, limit = 100, offset = 0, fields = null) {
+    const fieldParam = fields ? `&fields=${fields}` : '';
+    return this.request(
+      `/playlists/${playlistId}/tracks?limit=${limit}&offset=${offset}${fieldParam}`,
+      'Failed to fetch tracks'
     );
-
-    if (!response.ok) {
-      const error = new Error('Failed to fetch tracks');
-      error.status = response.status;
-      throw error;
-    }
-
-    return response.json();
   },
 
   /**
    * Fetch all tracks from a playlist (handles pagination)
    * @param {string} playlistId
+   * @param {string|null} fields - Optional field selection (must include items and total)
    * @returns {Promise<Array>}
    */
-  async getAllPlaylistTracks(playlistId) {
+  async getAllPlaylistTracks(playlistId, fields = null) {
     const tracks = [];
     let offset = 0;
     const limit = 100;
     let hasMore = true;
 
     while (hasMore) {
-      const data = await this.getPlaylistTracks(playlistId, limit, offset);
+      const data = await this.getPlaylistTracks(playlistId, limit, offset, fields);
       tracks.push(...data.items);
 
       if (data.items.length < limit || tracks.length >= data.total) {
@@ -160,26 +213,51 @@ export const SpotifyAPI = {
   },
 
   /**
-   * Get curator/user profile
-   * @param {string} userId
-   * @returns {Promise<Object>}
+   * Fetch full album objects (label, copyrights) in batches of 20
+   * @param {Array<string>} albumIds
+   * @returns {Promise<Array>}
    */
-  async getUser(userId) {
-    const token = await this.getAccessToken();
+  async getAlbums(albumIds) {
+    const batches = [];
+    for (let i = 0; i < albumIds.length; i += 20) {
+      batches.push(albumIds.slice(i, i + 20).join(','));
+    }
 
-    const response = await fetch(`${CONFIG.API_BASE}/users/${userId}`, {
-      headers: {
-        Authorization: `Bearer ${token}`,
-      },
-    });
+    const results = await Promise.all(
+      batches.map(ids => this.request(`/albums?ids=${ids}`, 'Failed to fetch albums'))
+    );
 
-    if (!response.ok) {
-      const error = new Error('Failed to fetch user');
-      error.status = response.status;
-      throw error;
+    return results.flatMap(data => (data.albums || []).filter(Boolean));
+  },
+
+  /**
+   * Fetch audio features (loudness, energy) in batches of 100
+   * Not available to every Spotify app, so callers should treat failures as "unknown"
+   * @param {Array<string>} trackIds
+   * @returns {Promise<Array>}
+   */
+  async getAudioFeatures(trackIds) {
+    const batches = [];
+    for (let i = 0; i < trackIds.length; i += 100) {
+      batches.push(trackIds.slice(i, i + 100).join(','));
     }
 
-    return response.json();
+    const results = await Promise.all(
+      batches.map(ids =>
+        this.request(`/audio-features?ids=${ids}`, 'Failed to fetch audio features')
+      )
+    );
+
+    return results.flatMap(data => (data.audio_features || []).filter(Boolean));
+  },
+
+  /**
+   * Get curator/user profile
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  async getUser(userId) {
+    return this.request(`/users/${userId}`, 'Failed to fetch user');
   },
 
   /**
@@ -189,55 +267,54 @@ export const SpotifyAPI = {
    * @returns {Promise<Object>}
    */
   async getUserPlaylists(userId, limit = 50) {
-    const token = await this.getAccessToken();
-
-    const response = await fetch(`${CONFIG.API_BASE}/users/${userId}/playlists?limit=${limit}`, {
-      headers: {
-        Authorization: `Bearer ${token}`,
-      },
-    });
-
-    if (!response.ok) {
-      const error = new Error('Failed to fetch user playlists');
-      error.status = response.status;
-      throw error;
-    }
-
-    return response.json();
+    return this.request(
+      `/users/${userId}/playlists?limit=${limit}`,
+      'Failed to fetch user playlists'
+    );
   },
 
   /**
-   * Validate multiple playlists in parallel
+   * Validate multiple playlists
+   * Concurrency and rate limiting are handled by the shared request layer
    * @param {Array<string>} playlistIds
-   * @param {number} concurrency
+   * @param {function(Object): void} onResult - Called as each playlist completes
    * @returns {Promise<Array>}
    */
-  async validateBatch(playlistIds, concurrency = 5) {
-    const results = [];
-
-    // Process in batches
-    for (let i = 0; i < playlistIds.length; i += concurrency) {
-      const batch = playlistIds.slice(i, i + concurrency);
-
-      const batchResults = await Promise.all(
-        batch.map(async id => {
-          try {
-            const playlist = await this.getPlaylist(id);
-            return { success: true, data: playlist };
-          } catch (error) {
-            return { success: false, error: error.message, id };
-          }
-        })
-      );
-
-      results.push(...batchResults);
-
-      // Small delay between batches to avoid rate limiting
-      if (i + concurrency < playlistIds.length) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-    }
-
-    return results;
+  async validateBatch(playlistIds, onResult = null) {
+    return Promise.all(
+      playlistIds.map(async id => {
+        let result;
+        try {
+          const playlist = await this.getPlaylist(id);
+          result = { success: true, data: playlist };
+        } catch (error) {
+          result = { success: false, error: error.message, status: error.status, id };
+        }
+
+        onResult?.(result);
+        return result;
+      })
+    );
   },
 };
+
+/**
+ * Swap a playlist's first page of tracks for its earliest and latest added_at (ms)
+ * Both are null unless the page held every track, since later pages could be older or newer
+ */
+function summariseAddedDates(playlist) {
+  if (!Array.isArray(playlist?.tracks?.items)) return playlist;
+
+  const { items, ...tracks } = playlist.tracks;
+  const dates = items.map(item => Date.parse(item?.added_at)).filter(Number.isFinite);
+  const complete = dates.length > 0 && dates.length >= (tracks.total || 0);
+
+  return {
+    ...playlist,
+    tracks: {
+      ...tracks,
+      firstAddedAt: complete ? Math.min(...dates) : null,
+      lastAddedAt: complete ? Math.max(...dates) : null,
+    },
+  };
+}
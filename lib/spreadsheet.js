@@ -0,0 +1,294 @@
+/**
+ * Spreadsheet Import
+ * Reads CSV/TSV text and XLSX files into rows, and maps pitching lists
+ * onto playlist links plus their other columns
+ */
+
+import { SpotifyAPI } from './spotify-api.js';
+import { Zip } from './zip.js';
+
+// XML namespaces used when resolving sheet relationships
+const NS = {
+  RELATIONSHIPS: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+};
+
+export const Spreadsheet = {
+  /**
+   * Read an uploaded file into rows of cells
+   * @param {File} file - .csv, .tsv, .txt or .xlsx
+   * @returns {Promise<Array<Array<string>>>}
+   */
+  async readFile(file) {
+    if (/\.xlsx$/i.test(file.name)) {
+      return this.readXlsx(await file.arrayBuffer());
+    }
+    return this.parseText(await file.text());
+  },
+
+  /**
+   * Parse delimited text, detecting tabs (pasted cells), commas or semicolons
+   * @param {string} text
+   * @returns {Array<Array<string>>}
+   */
+  parseText(text) {
+    return this.parseDelimited(text, this.detectDelimiter(text));
+  },
+
+  /**
+   * Guess the delimiter from the first line
+   * @param {string} text
+   * @returns {string|null} - null for a single column
+   */
+  detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    if (firstLine.includes('\t')) return '\t';
+    if (firstLine.includes(',')) return ',';
+    if (firstLine.includes(';')) return ';';
+    return null;
+  },
+
+  /**
+   * Parse delimited text with RFC 4180 quoting (quoted cells may span lines)
+   * @param {string} text
+   * @param {string|null} delimiter - null splits lines only
+   * @returns {Array<Array<string>>}
+   */
+  parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && cell === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    row.push(cell);
+    rows.push(row);
+
+    // Drop blank lines
+    return rows.map(r => r.map(c => c.trim())).filter(r => r.some(c => c !== ''));
+  },
+
+  /**
+   * Serialise rows as delimited text, quoting cells where needed
+   * @param {Array<Array<*>>} rows
+   * @param {string} delimiter
+   * @returns {string}
+   */
+  toDelimited(rows, delimiter = ',') {
+    return rows
+      .map(row =>
+        row
+          .map(value => {
+            const cell = String(value ?? '');
+            return /["\r\n]/.test(cell) || cell.includes(delimiter)
+              ? `"${cell.replace(/"/g, '""')}"`
+              : cell;
+          })
+          .join(delimiter)
+      )
+      .join('\n');
+  },
+
+  /**
+   * Read the first worksheet of an XLSX workbook
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<Array<Array<string>>>}
+   */
+  async readXlsx(buffer) {
+    const entries = Zip.readEntries(buffer);
+    const readXml = async path => {
+      const entry = entries.get(path);
+      if (!entry) return null;
+      return new DOMParser().parseFromString(
+        await Zip.extractText(buffer, entry),
+        'application/xml'
+      );
+    };
+
+    const sheetPath = await this.findFirstSheet(readXml);
+    const sheet = await readXml(sheetPath);
+    if (!sheet) {
+      throw new Error('Workbook has no worksheets');
+    }
+
+    const sharedStrings = await readXml('xl/sharedStrings.xml');
+    const strings = sharedStrings ? [...byTag(sharedStrings, 'si')].map(si => textOf(si, 't')) : [];
+
+    const relsPath = sheetPath.replace(/([^/]+)$/, '_rels/$1.rels');
+    const links = readHyperlinks(sheet, await readXml(relsPath));
+
+    const rows = [];
+    for (const rowEl of byTag(sheet, 'row')) {
+      const row = [];
+
+      for (const cellEl of byTag(rowEl, 'c')) {
+        const ref = cellEl.getAttribute('r');
+        const column = ref ? columnIndex(ref) : row.length;
+        let value = cellValue(cellEl, strings);
+
+        // Pitching sheets often show "Link" text with the playlist URL as a hyperlink
+        const target = links.get(ref);
+        if (
+          target &&
+          !SpotifyAPI.extractPlaylistId(value) &&
+          SpotifyAPI.extractPlaylistId(target)
+        ) {
+          value = target;
+        }
+
+        while (row.length < column) row.push('');
+        row[column] = value.trim();
+      }
+
+      if (row.some(c => c !== '')) rows.push(row);
+    }
+
+    return rows;
+  },
+
+  /**
+   * Resolve the path of the workbook's first sheet
+   * @param {function(string): Promise<Document|null>} readXml
+   * @returns {Promise<string>}
+   */
+  async findFirstSheet(readXml) {
+    const fallback = 'xl/worksheets/sheet1.xml';
+    const workbook = await readXml('xl/workbook.xml');
+    const rels = await readXml('xl/_rels/workbook.xml.rels');
+    const firstSheet = workbook && byTag(workbook, 'sheet')[0];
+    if (!firstSheet || !rels) return fallback;
+
+    const id = firstSheet.getAttributeNS(NS.RELATIONSHIPS, 'id');
+    const rel = [...byTag(rels, 'Relationship')].find(r => r.getAttribute('Id') === id);
+    const target = rel?.getAttribute('Target');
+    if (!target) return fallback;
+
+    return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  },
+
+  /**
+   * Map rows onto playlist links, keeping every other column
+   * The link column is the one where extractPlaylistId matches most cells;
+   * a first row without a link there is treated as headers
+   * @param {Array<Array<string>>} rows
+   * @returns {{headers: Array<string>, entries: Array<{url: string, extra: Object}>}}
+   */
+  toPlaylistRows(rows) {
+    if (rows.length === 0) return { headers: [], entries: [] };
+
+    const width = Math.max(...rows.map(r => r.length));
+    const matches = new Array(width).fill(0);
+    rows.forEach(row => {
+      row.forEach((cell, i) => {
+        if (SpotifyAPI.extractPlaylistId(cell)) matches[i]++;
+      });
+    });
+
+    const linkColumn = matches.indexOf(Math.max(...matches));
+    if (matches[linkColumn] === 0) {
+      // No recognisable links - treat the first column as URLs so errors are shown
+      return { headers: [], entries: rows.map(row => ({ url: row[0], extra: {} })) };
+    }
+
+    const hasHeader = !SpotifyAPI.extractPlaylistId(rows[0][linkColumn] || '');
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+
+    const headers = [];
+    const columns = [];
+    for (let i = 0; i < width; i++) {
+      if (i === linkColumn || !dataRows.some(row => row[i])) continue;
+      const name = (hasHeader && rows[0][i]) || `Column ${i + 1}`;
+      headers.push(headers.includes(name) ? `${name} (${i + 1})` : name);
+      columns.push(i);
+    }
+
+    const entries = dataRows
+      .filter(row => row[linkColumn])
+      .map(row => ({
+        url: row[linkColumn],
+        extra: Object.fromEntries(headers.map((name, j) => [name, row[columns[j]] || ''])),
+      }));
+
+    return { headers, entries };
+  },
+};
+
+/**
+ * Elements by local name, whatever namespace prefix the file uses
+ */
+function byTag(node, name) {
+  return node.getElementsByTagNameNS('*', name);
+}
+
+/**
+ * Concatenated text of all descendants with a given local name
+ */
+function textOf(node, name) {
+  return [...byTag(node, name)].map(t => t.textContent).join('');
+}
+
+/**
+ * Display value of a worksheet cell
+ */
+function cellValue(cellEl, strings) {
+  const type = cellEl.getAttribute('t');
+  if (type === 'inlineStr') return textOf(cellEl, 't');
+
+  const value = byTag(cellEl, 'v')[0]?.textContent ?? '';
+  if (type === 's') return strings[Number(value)] ?? '';
+  if (type === 'b') return value === '1' ? 'TRUE' : 'FALSE';
+  return value;
+}
+
+/**
+ * Zero-based column index from a cell reference like "AB12"
+ */
+function columnIndex(ref) {
+  const letters = ref.match(/^[A-Z]+/i)?.[0].toUpperCase() || 'A';
+  return [...letters].reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * External hyperlink targets keyed by cell reference
+ */
+function readHyperlinks(sheet, rels) {
+  const links = new Map();
+  if (!rels) return links;
+
+  const targets = new Map(
+    [...byTag(rels, 'Relationship')].map(r => [r.getAttribute('Id'), r.getAttribute('Target')])
+  );
+
+  for (const link of byTag(sheet, 'hyperlink')) {
+    const target = targets.get(link.getAttributeNS(NS.RELATIONSHIPS, 'id'));
+    if (target) links.set(link.getAttribute('ref'), target);
+  }
+
+  return links;
+}
@@ -4,6 +4,8 @@
  * Works with Chrome, Firefox, Safari, Arc, Opera
  */
 
+import { HistoryDB } from './history-db.js';
+
 // Cross-browser API
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
@@ -17,9 +19,34 @@ const KEYS = {
   USER_TIER: 'userTier',
   USER_EMAIL: 'userEmail',
   SETTINGS: 'settings',
-  PLAYLIST_HISTORY: 'playlistHistory',
+  PLACEMENT_WATCHLIST: 'placementWatchlist',
+  PLACEMENT_EVENTS: 'placementEvents',
+  PLAYLIST_SNAPSHOTS: 'playlistSnapshots',
+  RESPONSE_CACHE: 'responseCache',
+  CACHE_TTL: 'cacheTtl',
+  BULK_JOBS: 'bulkJobs',
+  EXPORT_PREFERENCES: 'exportPreferences',
+  REPORT_BRANDING: 'reportBranding',
+  HISTORY_RETENTION: 'historyRetention',
+  QUOTA_WARNED_AT: 'quotaWarnedAt',
+  SYNC_INTERVAL: 'syncInterval',
+  ALERT_RULES: 'alertRules',
+  WEBHOOKS: 'webhooks',
+  WEBHOOK_LOG: 'webhookLog',
+  API_KEYS: 'apiKeys',
+  API_LOG: 'apiLog',
+  INSTALL_ID: 'installId',
+  USAGE_QUOTA: 'usageQuota',
+  AUTH_SESSION: 'authSession',
+  PENDING_SIGN_IN: 'pendingSignIn',
 };
 
+// Follower history entries sent with each playlist on cloud sync
+const SYNC_HISTORY_LIMIT = 30;
+
+// Share of the storage.local quota at which callers should warn
+const LOCAL_QUOTA_WARNING = 0.8;
+
 export const Storage = {
   /**
    * Get a value from storage
@@ -48,6 +75,8 @@ export const Storage = {
       await browserAPI.storage.local.set({ [key]: value });
     } catch (error) {
       console.error('Storage set error:', error);
+      // A full store would otherwise drop entitlement, usage and job writes without a trace
+      if (/quota/i.test(`${error?.name} ${error?.message}`)) throw error;
     }
   },
 
@@ -71,6 +100,7 @@ export const Storage = {
   async clear() {
     try {
       await browserAPI.storage.local.clear();
+      await HistoryDB.clear();
     } catch (error) {
       console.error('Storage clear error:', error);
     }
@@ -105,6 +135,16 @@ export const Storage = {
     return newValue;
   },
 
+  /**
+   * Set today's usage count (after reconciling with the backend)
+   * @param {number} count
+   * @returns {Promise<void>}
+   */
+  async setDailyUsage(count) {
+    await this.set(KEYS.USAGE_DATE, new Date().toDateString());
+    await this.set(KEYS.DAILY_USAGE, count);
+  },
+
   /**
    * Get daily API usage count (resets each day)
    * @returns {Promise<number>}
@@ -135,66 +175,93 @@ export const Storage = {
   },
 
   /**
-   * Get tracked playlists
+   * Decrement daily API usage (a request that was given back)
+   * @returns {Promise<number>}
+   */
+  async decrementApiDailyUsage() {
+    const newValue = Math.max(0, (await this.getApiDailyUsage()) - 1);
+    await this.set(KEYS.API_DAILY_USAGE, newValue);
+    return newValue;
+  },
+
+  /**
+   * Get tracked playlists (follower history lives in HistoryDB)
    * @returns {Promise<Array>}
    */
   async getTrackedPlaylists() {
-    return await this.get(KEYS.TRACKED_PLAYLISTS, []);
+    const tracked = await this.get(KEYS.TRACKED_PLAYLISTS, []);
+
+    // Move history left inline by older versions into HistoryDB
+    if (tracked.some(p => p.history)) {
+      await this.setTrackedPlaylists(tracked);
+      return tracked.map(withoutHistory);
+    }
+
+    return tracked;
   },
 
   /**
-   * Track a playlist
+   * Get a single tracked playlist
+   * @param {string} playlistId
+   * @returns {Promise<Object|null>}
+   */
+  async getTrackedPlaylist(playlistId) {
+    const tracked = await this.getTrackedPlaylists();
+    return tracked.find(p => p.id === playlistId) || null;
+  },
+
+  /**
+   * Replace tracked playlists, moving any inline history into HistoryDB
+   * @param {Array} tracked - Playlists, optionally with history arrays (imports, cloud data)
+   * @returns {Promise<void>}
+   */
+  async setTrackedPlaylists(tracked) {
+    await Promise.all(
+      tracked.filter(p => Array.isArray(p.history)).map(p => HistoryDB.addEntries(p.id, p.history))
+    );
+
+    await this.set(KEYS.TRACKED_PLAYLISTS, tracked.map(withoutHistory));
+  },
+
+  /**
+   * Merge sync results into tracked playlists
+   * Playlists untracked while the sync ran are left out
+   * @param {Array<Object>} updates - { id, ...fields }
+   * @returns {Promise<void>}
+   */
+  async updateTrackedPlaylists(updates) {
+    const byId = new Map(updates.map(u => [u.id, u]));
+    const tracked = await this.getTrackedPlaylists();
+    await this.set(
+      KEYS.TRACKED_PLAYLISTS,
+      tracked.map(p => (byId.has(p.id) ? { ...p, ...byId.get(p.id) } : p))
+    );
+  },
+
+  /**
+   * Track a playlist and record its follower count
    * @param {Object} playlist - { id, name, image, followers, timestamp }
    * @returns {Promise<void>}
    */
   async trackPlaylist(playlist) {
     const tracked = await this.getTrackedPlaylists();
-
-    // Find existing or create new
     const existingIndex = tracked.findIndex(p => p.id === playlist.id);
 
     if (existingIndex >= 0) {
-      // Update existing - add to history
-      const existing = tracked[existingIndex];
-      const history = existing.history || [];
-
-      // Add current data to history (keep last 30 entries)
-      history.unshift({
-        followers: playlist.followers,
-        timestamp: playlist.timestamp,
-      });
-
-      if (history.length > 30) {
-        history.pop();
-      }
-
-      tracked[existingIndex] = {
-        ...existing,
-        ...playlist,
-        history,
-      };
+      tracked[existingIndex] = { ...tracked[existingIndex], ...playlist };
     } else {
-      // Add new (limit to 50 tracked playlists)
-      tracked.unshift({
-        ...playlist,
-        history: [
-          {
-            followers: playlist.followers,
-            timestamp: playlist.timestamp,
-          },
-        ],
-      });
-
-      if (tracked.length > 50) {
-        tracked.pop();
-      }
+      tracked.unshift(playlist);
     }
 
+    await HistoryDB.addEntry(playlist.id, {
+      followers: playlist.followers,
+      timestamp: playlist.timestamp,
+    });
     await this.set(KEYS.TRACKED_PLAYLISTS, tracked);
   },
 
   /**
-   * Remove a tracked playlist
+   * Remove a tracked playlist with its history and snapshots
    * @param {string} playlistId
    * @returns {Promise<void>}
    */
@@ -202,17 +269,24 @@ export const Storage = {
     const tracked = await this.getTrackedPlaylists();
     const filtered = tracked.filter(p => p.id !== playlistId);
     await this.set(KEYS.TRACKED_PLAYLISTS, filtered);
+    await HistoryDB.deleteHistory(playlistId);
+    await this.migrateSnapshots();
+    await HistoryDB.deleteSnapshots(playlistId);
   },
 
   /**
-   * Get playlist history
+   * Get playlist follower history (newest first)
    * @param {string} playlistId
+   * @param {Object} options - { since: timestamp, limit: max entries }
    * @returns {Promise<Array>}
    */
-  async getPlaylistHistory(playlistId) {
-    const tracked = await this.getTrackedPlaylists();
-    const playlist = tracked.find(p => p.id === playlistId);
-    return playlist?.history || [];
+  async getPlaylistHistory(playlistId, options = {}) {
+    try {
+      return await HistoryDB.getHistory(playlistId, options);
+    } catch (error) {
+      console.error('History read error:', error);
+      return [];
+    }
   },
 
   /**
@@ -222,9 +296,429 @@ export const Storage = {
    * @returns {Promise<void>}
    */
   async setPlaylistHistory(playlistId, history) {
-    const allHistory = await this.get(KEYS.PLAYLIST_HISTORY, {});
-    allHistory[playlistId] = history;
-    await this.set(KEYS.PLAYLIST_HISTORY, allHistory);
+    await HistoryDB.addEntries(playlistId, history);
+  },
+
+  /**
+   * Attach recent follower history to playlists, as the sync backend expects
+   * @param {Array} tracked
+   * @returns {Promise<Array>}
+   */
+  async withRecentHistory(tracked) {
+    return Promise.all(
+      tracked.map(async p => ({
+        ...p,
+        history: await this.getPlaylistHistory(p.id, {
+          limit: SYNC_HISTORY_LIMIT,
+        }),
+      }))
+    );
+  },
+
+  /**
+   * Storage used by the extension: IndexedDB (history and snapshots) and storage.local
+   * navigator.storage.estimate() doesn't count storage.local, which has its own quota
+   * @returns {Promise<{database: Object|null, local: Object|null, nearQuota: boolean}>} - database
+   *   and local are { usage, quota } (null where the browser can't report it)
+   */
+  async getUsage() {
+    const database = await HistoryDB.getUsage().catch(() => null);
+
+    let local = null;
+    if (browserAPI.storage.local.getBytesInUse && browserAPI.storage.local.QUOTA_BYTES) {
+      try {
+        const usage = await browserAPI.storage.local.getBytesInUse(null);
+        local = { usage, quota: browserAPI.storage.local.QUOTA_BYTES };
+      } catch (error) {
+        console.error('Storage usage error:', error);
+      }
+    }
+
+    return {
+      database: database?.quota ? { usage: database.usage, quota: database.quota } : null,
+      local,
+      nearQuota:
+        !!database?.nearQuota || (!!local && local.usage / local.quota >= LOCAL_QUOTA_WARNING),
+    };
+  },
+
+  /**
+   * Get how long follower history is kept
+   * @returns {Promise<number>} - Days (0 = forever)
+   */
+  async getHistoryRetention() {
+    return await this.get(KEYS.HISTORY_RETENTION, 0);
+  },
+
+  /**
+   * Set how long follower history is kept, pruning older entries now
+   * @param {number} days - 0 keeps history forever
+   * @returns {Promise<void>}
+   */
+  async setHistoryRetention(days) {
+    await this.set(KEYS.HISTORY_RETENTION, days);
+    await HistoryDB.prune(days);
+  },
+
+  /**
+   * Get the hours between background syncs of tracked playlists
+   * @param {number} defaultHours
+   * @returns {Promise<number>}
+   */
+  async getSyncInterval(defaultHours) {
+    return await this.get(KEYS.SYNC_INTERVAL, defaultHours);
+  },
+
+  /**
+   * Set the hours between background syncs
+   * @param {number} hours
+   * @returns {Promise<void>}
+   */
+  async setSyncInterval(hours) {
+    await this.set(KEYS.SYNC_INTERVAL, hours);
+  },
+
+  /**
+   * Get alert rules the user has changed
+   * @returns {Promise<Array>} - [{ id, enabled, threshold }]
+   */
+  async getAlertRules() {
+    return await this.get(KEYS.ALERT_RULES, []);
+  },
+
+  /**
+   * Replace alert rules
+   * @param {Array} rules
+   * @returns {Promise<void>}
+   */
+  async setAlertRules(rules) {
+    await this.set(KEYS.ALERT_RULES, rules);
+  },
+
+  /**
+   * Get registered webhook endpoints
+   * @returns {Promise<Array>}
+   */
+  async getWebhooks() {
+    return await this.get(KEYS.WEBHOOKS, []);
+  },
+
+  /**
+   * Replace webhook endpoints
+   * @param {Array} webhooks
+   * @returns {Promise<void>}
+   */
+  async setWebhooks(webhooks) {
+    await this.set(KEYS.WEBHOOKS, webhooks);
+  },
+
+  /**
+   * Get webhook deliveries keyed by endpoint ID
+   * @returns {Promise<Object>}
+   */
+  async getWebhookLog() {
+    return await this.get(KEYS.WEBHOOK_LOG, {});
+  },
+
+  /**
+   * Replace the webhook delivery log
+   * @param {Object} log
+   * @returns {Promise<void>}
+   */
+  async setWebhookLog(log) {
+    await this.set(KEYS.WEBHOOK_LOG, log);
+  },
+
+  /**
+   * Get this install's ID, creating it on first use
+   * @returns {Promise<string>}
+   */
+  async getInstallId() {
+    let installId = await this.get(KEYS.INSTALL_ID);
+    if (!installId) {
+      installId = crypto.randomUUID();
+      await this.set(KEYS.INSTALL_ID, installId);
+    }
+    return installId;
+  },
+
+  /**
+   * Get the signed usage quota token from the backend
+   * @returns {Promise<string|null>}
+   */
+  async getUsageQuota() {
+    return await this.get(KEYS.USAGE_QUOTA);
+  },
+
+  /**
+   * Store the signed usage quota token
+   * @param {string|null} token
+   * @returns {Promise<void>}
+   */
+  async setUsageQuota(token) {
+    await this.set(KEYS.USAGE_QUOTA, token);
+  },
+
+  /**
+   * Get the backend session token from sign-in
+   * @returns {Promise<string|null>}
+   */
+  async getAuthSession() {
+    return await this.get(KEYS.AUTH_SESSION);
+  },
+
+  /**
+   * Store the backend session token (null to sign out)
+   * @param {string|null} session
+   * @returns {Promise<void>}
+   */
+  async setAuthSession(session) {
+    if (session) {
+      await this.set(KEYS.AUTH_SESSION, session);
+    } else {
+      await this.remove(KEYS.AUTH_SESSION);
+    }
+  },
+
+  /**
+   * Get the magic link sign-in waiting to be confirmed
+   * @returns {Promise<Object|null>} - { requestId, email, expiresAt }
+   */
+  async getPendingSignIn() {
+    return await this.get(KEYS.PENDING_SIGN_IN);
+  },
+
+  /**
+   * Store the magic link sign-in waiting to be confirmed (null to clear)
+   * @param {Object|null} pending
+   * @returns {Promise<void>}
+   */
+  async setPendingSignIn(pending) {
+    if (pending) {
+      await this.set(KEYS.PENDING_SIGN_IN, pending);
+    } else {
+      await this.remove(KEYS.PENDING_SIGN_IN);
+    }
+  },
+
+  /**
+   * Get API keys
+   * @returns {Promise<Array>}
+   */
+  async getApiKeys() {
+    return await this.get(KEYS.API_KEYS, []);
+  },
+
+  /**
+   * Replace API keys
+   * @param {Array} keys
+   * @returns {Promise<void>}
+   */
+  async setApiKeys(keys) {
+    await this.set(KEYS.API_KEYS, keys);
+  },
+
+  /**
+   * Get the API request log (newest first)
+   * @returns {Promise<Array>}
+   */
+  async getApiLog() {
+    return await this.get(KEYS.API_LOG, []);
+  },
+
+  /**
+   * Replace the API request log
+   * @param {Array} log
+   * @returns {Promise<void>}
+   */
+  async setApiLog(log) {
+    await this.set(KEYS.API_LOG, log);
+  },
+
+  /**
+   * Get when the user was last warned about storage running out
+   * @returns {Promise<number>} - Timestamp (0 = never)
+   */
+  async getQuotaWarnedAt() {
+    return await this.get(KEYS.QUOTA_WARNED_AT, 0);
+  },
+
+  /**
+   * Record a storage warning
+   * @param {number} timestamp
+   * @returns {Promise<void>}
+   */
+  async setQuotaWarnedAt(timestamp) {
+    await this.set(KEYS.QUOTA_WARNED_AT, timestamp);
+  },
+
+  /**
+   * Get stored track list snapshots for a playlist (newest first)
+   * @param {string} playlistId
+   * @returns {Promise<Array>} - [{ snapshotId, timestamp, tracks }]
+   */
+  async getPlaylistSnapshots(playlistId) {
+    try {
+      await this.migrateSnapshots();
+      return await HistoryDB.getSnapshots(playlistId);
+    } catch (error) {
+      console.error('Snapshot read error:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Store a track list snapshot in HistoryDB if snapshot_id changed (keeps last 10 per playlist)
+   * Throws if storage is full
+   * @param {string} playlistId
+   * @param {Object} snapshot - { snapshotId, timestamp, tracks }
+   * @returns {Promise<void>}
+   */
+  async savePlaylistSnapshot(playlistId, snapshot) {
+    await this.migrateSnapshots();
+    await HistoryDB.addSnapshot(playlistId, snapshot);
+  },
+
+  /**
+   * Move snapshots kept in storage.local by older versions into HistoryDB
+   * @returns {Promise<void>}
+   */
+  async migrateSnapshots() {
+    const legacy = await this.get(KEYS.PLAYLIST_SNAPSHOTS);
+    if (!legacy) return;
+
+    for (const [playlistId, snapshots] of Object.entries(legacy)) {
+      // Oldest first, so each lands as the newest; re-running replaces the same records
+      for (const snapshot of [...snapshots].reverse()) {
+        await HistoryDB.addSnapshot(playlistId, snapshot);
+      }
+    }
+    await this.remove(KEYS.PLAYLIST_SNAPSHOTS);
+  },
+
+  /**
+   * Get artist/track IDs monitored for placements
+   * @returns {Promise<{artistIds: Array<string>, trackIds: Array<string>}>}
+   */
+  async getPlacementWatchlist() {
+    return await this.get(KEYS.PLACEMENT_WATCHLIST, {
+      artistIds: [],
+      trackIds: [],
+    });
+  },
+
+  /**
+   * Set artist/track IDs monitored for placements
+   * @param {{artistIds: Array<string>, trackIds: Array<string>}} watchlist
+   * @returns {Promise<void>}
+   */
+  async setPlacementWatchlist(watchlist) {
+    await this.set(KEYS.PLACEMENT_WATCHLIST, {
+      artistIds: [...new Set(watchlist.artistIds || [])],
+      trackIds: [...new Set(watchlist.trackIds || [])],
+    });
+  },
+
+  /**
+   * Get placement added/removed events (newest first)
+   * @returns {Promise<Array>}
+   */
+  async getPlacementEvents() {
+    return await this.get(KEYS.PLACEMENT_EVENTS, []);
+  },
+
+  /**
+   * Get cached playlist lookups
+   * @returns {Promise<Object>} - { [playlistId]: { data, snapshotId, cachedAt } }
+   */
+  async getResponseCache() {
+    return await this.get(KEYS.RESPONSE_CACHE, {});
+  },
+
+  /**
+   * Replace cached playlist lookups
+   * @param {Object} cache
+   * @returns {Promise<void>}
+   */
+  async setResponseCache(cache) {
+    await this.set(KEYS.RESPONSE_CACHE, cache);
+  },
+
+  /**
+   * Get the lookup cache TTL
+   * @param {number} defaultMinutes
+   * @returns {Promise<number>} - Minutes (0 = off)
+   */
+  async getCacheTtl(defaultMinutes) {
+    return await this.get(KEYS.CACHE_TTL, defaultMinutes);
+  },
+
+  /**
+   * Set the lookup cache TTL
+   * @param {number} minutes - 0 disables caching
+   * @returns {Promise<void>}
+   */
+  async setCacheTtl(minutes) {
+    await this.set(KEYS.CACHE_TTL, minutes);
+    if (!minutes) {
+      await this.remove(KEYS.RESPONSE_CACHE);
+    }
+  },
+
+  /**
+   * Get queued, running and last finished bulk jobs
+   * @returns {Promise<Array>}
+   */
+  async getBulkJobs() {
+    return await this.get(KEYS.BULK_JOBS, []);
+  },
+
+  /**
+   * Replace stored bulk jobs
+   * @param {Array} jobs
+   * @returns {Promise<void>}
+   */
+  async setBulkJobs(jobs) {
+    await this.set(KEYS.BULK_JOBS, jobs);
+  },
+
+  /**
+   * Get the last used export format and columns
+   * @returns {Promise<Object>} - { format, columns (null = all), includeFactors }
+   */
+  async getExportPreferences() {
+    return await this.get(KEYS.EXPORT_PREFERENCES, {
+      format: 'csv',
+      columns: null,
+      includeFactors: false,
+    });
+  },
+
+  /**
+   * Remember export format and columns
+   * @param {Object} preferences - { format, columns, includeFactors }
+   * @returns {Promise<void>}
+   */
+  async setExportPreferences(preferences) {
+    await this.set(KEYS.EXPORT_PREFERENCES, preferences);
+  },
+
+  /**
+   * Get agency branding used on client reports
+   * @returns {Promise<Object>} - { agencyName, logo (data URL or null) }
+   */
+  async getReportBranding() {
+    return await this.get(KEYS.REPORT_BRANDING, { agencyName: '', logo: null });
+  },
+
+  /**
+   * Update agency branding
+   * @param {Object} branding - Partial { agencyName, logo }
+   * @returns {Promise<void>}
+   */
+  async updateReportBranding(branding) {
+    const current = await this.getReportBranding();
+    await this.set(KEYS.REPORT_BRANDING, { ...current, ...branding });
   },
 
   /**
@@ -256,12 +750,14 @@ export const Storage = {
    */
   async syncWithCloud(userId) {
     try {
-      const tracked = await this.getTrackedPlaylists();
+      const tracked = await this.withRecentHistory(await this.getTrackedPlaylists());
 
+      const session = await this.getAuthSession();
       const response = await fetch('https://spot-checker.totalaudiopromo.com/api/sync', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...(session && { Authorization: `Bearer ${session}` }),
         },
         body: JSON.stringify({
           userId,
@@ -274,7 +770,7 @@ export const Storage = {
 
         // Merge cloud data with local
         if (cloudData.trackedPlaylists) {
-          await this.set(KEYS.TRACKED_PLAYLISTS, cloudData.trackedPlaylists);
+          await this.setTrackedPlaylists(cloudData.trackedPlaylists);
         }
       }
     } catch (error) {
@@ -283,11 +779,16 @@ export const Storage = {
   },
 
   /**
-   * Export all data
+   * Export all data, including full follower history
    * @returns {Promise<Object>}
    */
   async exportAll() {
-    const tracked = await this.getTrackedPlaylists();
+    const tracked = await Promise.all(
+      (await this.getTrackedPlaylists()).map(async p => ({
+        ...p,
+        history: await this.getPlaylistHistory(p.id),
+      }))
+    );
     const settings = await this.getSettings();
 
     return {
@@ -304,10 +805,19 @@ export const Storage = {
    */
   async importData(data) {
     if (data.trackedPlaylists) {
-      await this.set(KEYS.TRACKED_PLAYLISTS, data.trackedPlaylists);
+      await this.setTrackedPlaylists(data.trackedPlaylists);
     }
     if (data.settings) {
       await this.set(KEYS.SETTINGS, data.settings);
     }
   },
 };
+
+/**
+ * Copy of a tracked playlist without its inline history array
+ */
+function withoutHistory(playlist) {
+  const copy = { ...playlist };
+  delete copy.history;
+  return copy;
+}
@@ -0,0 +1,106 @@
+/**
+ * Sync Scheduler
+ * Rotates background syncs through every tracked playlist: each run takes
+ * the least recently attempted playlists until its request budget is spent
+ */
+
+import { Storage } from './storage.js';
+
+// Scheduler configuration
+const CONFIG = {
+  REQUEST_BUDGET: 60, // Spotify requests per sync run
+  WORKERS: 2, // Playlists synced in parallel (the API client also limits)
+  DEFAULT_INTERVAL: 6, // Hours between sync runs
+};
+
+// Sync interval choices in hours
+const INTERVAL_OPTIONS = [1, 3, 6, 12, 24];
+
+export const SyncScheduler = {
+  /**
+   * Get the hours between sync runs
+   * @returns {Promise<number>}
+   */
+  async getInterval() {
+    return await Storage.getSyncInterval(CONFIG.DEFAULT_INTERVAL);
+  },
+
+  /**
+   * Order playlists for syncing: never attempted first, then least recently attempted
+   * @param {Array} tracked
+   * @returns {Array}
+   */
+  getRotation(tracked) {
+    return [...tracked].sort((a, b) => lastAttempt(a) - lastAttempt(b));
+  },
+
+  /**
+   * Requests a playlist is expected to need (its last sync's count)
+   * @param {Object} playlist
+   * @returns {number}
+   */
+  estimateCost(playlist) {
+    return playlist.lastRequests || 1;
+  },
+
+  /**
+   * Sync playlists from the front of the rotation until the request budget is spent
+   * At least one playlist is synced per run, however expensive
+   * @param {Array} tracked
+   * @param {function(Object): Promise<{update: Object, requests: number}>} syncOne
+   * @param {number} budget - Max Spotify requests
+   * @returns {Promise<Array<Object>>} - Per-playlist updates ({ id, ...fields })
+   */
+  async run(tracked, syncOne, budget = CONFIG.REQUEST_BUDGET) {
+    const queue = this.getRotation(tracked);
+    const updates = [];
+    let spent = 0;
+    let cursor = 0;
+
+    const worker = async () => {
+      while (cursor < queue.length) {
+        const playlist = queue[cursor];
+        const estimate = this.estimateCost(playlist);
+        if (spent > 0 && spent + estimate > budget) return;
+
+        // Reserve the estimate before awaiting so parallel workers see it
+        cursor++;
+        spent += estimate;
+        const attemptedAt = Date.now();
+
+        try {
+          const { update, requests } = await syncOne(playlist);
+          spent += requests - estimate;
+          updates.push({
+            ...update,
+            id: playlist.id,
+            lastAttempted: attemptedAt,
+            lastUpdated: Date.now(),
+            lastError: null,
+            lastErrorStatus: null,
+            lastRequests: requests,
+          });
+        } catch (error) {
+          updates.push({
+            id: playlist.id,
+            lastAttempted: attemptedAt,
+            lastError: error.message || 'Sync failed',
+            lastErrorStatus: error.status || null,
+          });
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: CONFIG.WORKERS }, worker));
+    return updates;
+  },
+};
+
+/**
+ * When a playlist was last attempted (0 if never)
+ */
+function lastAttempt(playlist) {
+  return playlist.lastAttempted || playlist.lastUpdated || 0;
+}
+
+export { INTERVAL_OPTIONS };
@@ -0,0 +1,177 @@
+/**
+ * Track Analysis
+ * Deep scan of a playlist's full track list (Premium)
+ */
+
+import { SpotifyAPI } from './spotify-api.js';
+
+// Analysis thresholds
+const THRESHOLDS = {
+  MASS_ADD_WINDOW: 60 * 60 * 1000, // Tracks added within the same hour
+  SHORT_TRACK_MS: 60 * 1000, // Under a minute
+  SILENT_LOUDNESS_DB: -30, // Near-silent average loudness
+  MAX_ALBUM_LOOKUPS: 100, // Caps label lookups to 5 requests
+};
+
+export const TrackAnalysis = {
+  /**
+   * Fetch everything needed for a deep scan and analyse it
+   * @param {string} playlistId
+   * @returns {Promise<Object>} - Analysis result (see analyse)
+   */
+  async deepScan(playlistId) {
+    const items = await SpotifyAPI.getAllPlaylistTracks(playlistId);
+    const tracks = getTracks(items);
+
+    // Labels only live on full album objects
+    const albumIds = [...new Set(tracks.map(t => t.album?.id).filter(Boolean))];
+    let albums = [];
+    try {
+      albums = await SpotifyAPI.getAlbums(albumIds.slice(0, THRESHOLDS.MAX_ALBUM_LOOKUPS));
+    } catch (error) {
+      console.error('Album lookup failed:', error);
+    }
+
+    // Audio features are restricted for newer Spotify apps - skip silence check if unavailable
+    let audioFeatures = null;
+    try {
+      audioFeatures = await SpotifyAPI.getAudioFeatures(tracks.map(t => t.id).filter(Boolean));
+    } catch (error) {
+      console.warn('Audio features unavailable:', error.status || error.message);
+    }
+
+    return this.analyse(items, { albums, audioFeatures });
+  },
+
+  /**
+   * Analyse playlist items
+   * @param {Array} items - Playlist track items ({ added_at, track })
+   * @param {Object} extra - { albums, audioFeatures }
+   * @returns {Object}
+   */
+  analyse(items, { albums = [], audioFeatures = null } = {}) {
+    const tracks = getTracks(items);
+
+    return {
+      total: tracks.length,
+      massAdd: analyseMassAdds(items),
+      topLabel: analyseLabels(tracks, albums),
+      topArtist: analyseArtists(tracks),
+      filler: analyseFiller(tracks, audioFeatures),
+      scannedAt: Date.now(),
+    };
+  },
+};
+
+/**
+ * Get playable tracks from playlist items (skips local files and removed tracks)
+ */
+function getTracks(items) {
+  return items.map(item => item.track).filter(track => track && !track.is_local);
+}
+
+/**
+ * Find the largest group of tracks added within one window
+ */
+function analyseMassAdds(items) {
+  const times = items
+    .map(item => Date.parse(item.added_at))
+    .filter(t => !Number.isNaN(t))
+    .sort((a, b) => a - b);
+
+  let largest = 0;
+  let largestStart = null;
+  let start = 0;
+
+  for (let end = 0; end < times.length; end++) {
+    while (times[end] - times[start] > THRESHOLDS.MASS_ADD_WINDOW) {
+      start++;
+    }
+    if (end - start + 1 > largest) {
+      largest = end - start + 1;
+      largestStart = times[start];
+    }
+  }
+
+  return {
+    count: largest,
+    share: times.length ? largest / times.length : 0,
+    date: largestStart,
+  };
+}
+
+/**
+ * Find the most common label across the album sample
+ */
+function analyseLabels(tracks, albums) {
+  const labelByAlbum = new Map(albums.map(a => [a.id, a.label]));
+  const counts = new Map();
+  let sampled = 0;
+
+  for (const track of tracks) {
+    const label = labelByAlbum.get(track.album?.id);
+    if (!label) continue;
+    sampled++;
+    counts.set(label, (counts.get(label) || 0) + 1);
+  }
+
+  return topEntry(counts, sampled);
+}
+
+/**
+ * Find the most repeated primary artist
+ */
+function analyseArtists(tracks) {
+  const counts = new Map();
+
+  for (const track of tracks) {
+    const artist = track.artists?.[0]?.name;
+    if (artist) counts.set(artist, (counts.get(artist) || 0) + 1);
+  }
+
+  return topEntry(counts, tracks.length);
+}
+
+/**
+ * Count very short or near-silent tracks (a track that is both counts once)
+ */
+function analyseFiller(tracks, audioFeatures) {
+  const isShort = track => track.duration_ms < THRESHOLDS.SHORT_TRACK_MS;
+  const shortCount = tracks.filter(isShort).length;
+
+  let silentCount = null;
+  const silentIds = new Set();
+  if (audioFeatures) {
+    audioFeatures
+      .filter(f => f?.id && f.loudness < THRESHOLDS.SILENT_LOUDNESS_DB)
+      .forEach(f => silentIds.add(f.id));
+    silentCount = tracks.filter(t => silentIds.has(t.id)).length;
+  }
+
+  const fillerCount = tracks.filter(t => isShort(t) || silentIds.has(t.id)).length;
+
+  return {
+    shortCount,
+    silentCount,
+    share: tracks.length ? fillerCount / tracks.length : 0,
+  };
+}
+
+/**
+ * Get the highest count from a Map as { name, count, share }
+ */
+function topEntry(counts, total) {
+  let name = null;
+  let count = 0;
+
+  for (const [key, value] of counts) {
+    if (value > count) {
+      name = key;
+      count = value;
+    }
+  }
+
+  return { name, count, share: total ? count / total : 0, sampled: total };
+}
+
+export { THRESHOLDS };
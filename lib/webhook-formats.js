@@ -0,0 +1,240 @@
+/**
+ * Webhook Formats
+ * Renders playlist change events as Slack or Discord incoming-webhook
+ * messages, so alerts can be posted to a channel without a relay service
+ */
+
+// Supported endpoint formats
+const FORMATS = {
+  json: { label: 'JSON event' },
+  slack: { label: 'Slack' },
+  discord: { label: 'Discord' },
+};
+
+// Embed/attachment colours by risk level
+const RISK_COLORS = {
+  low: '#1DB954',
+  medium: '#FFA42B',
+  high: '#F15E6C',
+};
+
+// Tracks listed in add/remove messages before summarising the rest
+const MAX_TRACKS = 5;
+
+export const WebhookFormats = {
+  /**
+   * Guess an endpoint's format from its URL
+   * @param {string} url
+   * @returns {string} - 'slack', 'discord' or 'json'
+   */
+  detect(url) {
+    const { hostname, pathname } = new URL(url);
+    if (hostname === 'hooks.slack.com') return 'slack';
+    if (/(^|\.)discord(app)?\.com$/.test(hostname) && pathname.startsWith('/api/webhooks/')) {
+      return 'discord';
+    }
+    return 'json';
+  },
+
+  /**
+   * Request body for an event in an endpoint's format
+   * @param {Object} event - From Webhooks.createEvent
+   * @param {string} format - One of FORMATS
+   * @returns {Object}
+   */
+  format(event, format = 'json') {
+    if (format === 'slack') return this.toSlack(event);
+    if (format === 'discord') return this.toDiscord(event);
+    return event;
+  },
+
+  /**
+   * Headline and detail text for an event
+   * @param {Object} event
+   * @returns {{title: string, detail: string}}
+   */
+  describe(event) {
+    const { playlist, data } = event;
+
+    switch (event.type) {
+      case 'playlist.followers_changed':
+        return {
+          title: `${playlist.name}: followers ${signed(data.change)}`,
+          detail: `${data.previous.toLocaleString()} → ${data.current.toLocaleString()} followers`,
+        };
+      case 'playlist.removed':
+        return {
+          title: `${playlist.name} is unavailable`,
+          detail: 'The playlist is private or has been removed from Spotify.',
+        };
+      case 'playlist.made_private':
+        return {
+          title: `${playlist.name} was made private`,
+          detail: 'The playlist is no longer public.',
+        };
+      case 'playlist.renamed':
+        return {
+          title: `${data.previousName} was renamed`,
+          detail: `Now called "${data.name}".`,
+        };
+      case 'playlist.track_added':
+        return {
+          title: `${playlist.name}: ${plural(data.tracks.length, 'track')} added`,
+          detail: listTracks(data.tracks),
+        };
+      case 'playlist.track_removed':
+        return {
+          title: `${playlist.name}: ${plural(data.tracks.length, 'track')} removed`,
+          detail: listTracks(data.tracks),
+        };
+      default:
+        return {
+          title: 'Spot Checker test event',
+          detail: 'This webhook is set up correctly.',
+        };
+    }
+  },
+
+  /**
+   * Slack incoming-webhook message (Block Kit)
+   * @param {Object} event
+   * @returns {Object}
+   */
+  toSlack(event) {
+    const { title, detail } = this.describe(event);
+    const { playlist } = event;
+
+    const section = {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*<${playlist.url}|${escapeSlack(title)}>*\n${escapeSlack(detail)}`,
+      },
+    };
+    if (playlist.image) {
+      section.accessory = {
+        type: 'image',
+        image_url: playlist.image,
+        alt_text: playlist.name,
+      };
+    }
+
+    return {
+      text: title,
+      blocks: [
+        section,
+        {
+          type: 'context',
+          elements: [{ type: 'mrkdwn', text: escapeSlack(summary(playlist)) }],
+        },
+      ],
+    };
+  },
+
+  /**
+   * Discord incoming-webhook message (one embed)
+   * @param {Object} event
+   * @returns {Object}
+   */
+  toDiscord(event) {
+    const { title, detail } = this.describe(event);
+    const { playlist } = event;
+
+    const fields = [
+      {
+        name: 'Followers',
+        value: playlist.followers === null ? '-' : playlist.followers.toLocaleString(),
+        inline: true,
+      },
+      {
+        name: 'Change',
+        value: changeText(playlist.followersChange),
+        inline: true,
+      },
+      { name: 'Risk', value: riskText(playlist.risk), inline: true },
+    ];
+
+    const embed = {
+      title: truncateText(title, 256),
+      url: playlist.url,
+      description: truncateText(detail, 4096),
+      color: parseInt((RISK_COLORS[playlist.risk?.level] || RISK_COLORS.low).slice(1), 16),
+      fields,
+      timestamp: event.createdAt,
+      footer: { text: 'Spot Checker' },
+    };
+    if (playlist.image) {
+      embed.thumbnail = { url: playlist.image };
+    }
+
+    return {
+      username: 'Spot Checker',
+      allowed_mentions: { parse: [] },
+      embeds: [embed],
+    };
+  },
+};
+
+/**
+ * Number with an explicit sign
+ */
+function signed(n) {
+  return `${n > 0 ? '+' : ''}${n.toLocaleString()}`;
+}
+
+/**
+ * Count with a pluralised noun
+ */
+function plural(n, noun) {
+  return `${n} ${noun}${n === 1 ? '' : 's'}`;
+}
+
+/**
+ * Bullet list of the first few tracks
+ */
+function listTracks(tracks) {
+  const lines = tracks.slice(0, MAX_TRACKS).map(t => `• ${t.name} – ${t.artist}`);
+  if (tracks.length > MAX_TRACKS) {
+    lines.push(`…and ${tracks.length - MAX_TRACKS} more`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Follower delta since the previous sync
+ */
+function changeText(change) {
+  return typeof change === 'number' ? signed(change) : '-';
+}
+
+/**
+ * Risk level and score
+ */
+function riskText(risk) {
+  if (!risk?.level) return 'Not scored';
+  return `${risk.level.charAt(0).toUpperCase()}${risk.level.slice(1)} (${risk.score}%)`;
+}
+
+/**
+ * One-line playlist summary: followers, delta and risk
+ */
+function summary(playlist) {
+  const followers = playlist.followers === null ? '-' : playlist.followers.toLocaleString();
+  return `${followers} followers (${changeText(playlist.followersChange)}) · Risk: ${riskText(playlist.risk)}`;
+}
+
+/**
+ * Escape Slack mrkdwn control characters
+ */
+function escapeSlack(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Cut text to a platform length limit
+ */
+function truncateText(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+export { FORMATS as WEBHOOK_FORMATS };
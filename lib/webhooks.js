@@ -0,0 +1,323 @@
+/**
+ * Webhooks (Pro)
+ * Turns tracked playlist changes into JSON events and POSTs them to the
+ * user's endpoints, signed with HMAC-SHA256 when a secret is set
+ * Endpoints and the delivery log are only written by the background script (the popup
+ * sends ADD_WEBHOOK, REMOVE_WEBHOOK and SEND_TEST_WEBHOOK), so one queue orders every write
+ */
+
+import { Storage } from './storage.js';
+import { Http } from './http.js';
+import { WebhookFormats } from './webhook-formats.js';
+
+// Delivery configuration
+const CONFIG = {
+  RETRIES: 3, // Retries on 429, 5xx and network errors
+  LOG_SIZE: 50, // Deliveries kept per endpoint
+};
+
+// Event types
+const EVENTS = {
+  FOLLOWERS_CHANGED: 'playlist.followers_changed',
+  REMOVED: 'playlist.removed',
+  MADE_PRIVATE: 'playlist.made_private',
+  RENAMED: 'playlist.renamed',
+  TRACK_ADDED: 'playlist.track_added',
+  TRACK_REMOVED: 'playlist.track_removed',
+  PING: 'ping',
+};
+
+// Log writes read-modify-write one storage key, so run them one at a time
+let logQueue = Promise.resolve();
+
+export const Webhooks = {
+  /**
+   * Get registered endpoints
+   * @returns {Promise<Array<{id: string, url: string, secret: string, format: string, createdAt: number}>>}
+   */
+  async getEndpoints() {
+    return await Storage.getWebhooks();
+  },
+
+  /**
+   * Register an endpoint
+   * @param {string} url - https URL
+   * @param {string} secret - Optional shared secret for signatures
+   * @param {string} format - 'json', 'slack', 'discord' or 'auto' to detect from the URL
+   * @returns {Promise<Object>} - The new endpoint
+   */
+  async addEndpoint(url, secret = '', format = 'auto') {
+    if (!this.isValidUrl(url)) {
+      throw new Error('Webhook URLs must start with https://');
+    }
+
+    const endpoint = {
+      id: `wh-${Date.now()}`,
+      url,
+      secret: secret.trim(),
+      format: format === 'auto' ? WebhookFormats.detect(url) : format,
+      createdAt: Date.now(),
+    };
+    await Storage.setWebhooks([...(await this.getEndpoints()), endpoint]);
+    return endpoint;
+  },
+
+  /**
+   * Remove an endpoint and its delivery log
+   * @param {string} endpointId
+   * @returns {Promise<void>}
+   */
+  async removeEndpoint(endpointId) {
+    const endpoints = await this.getEndpoints();
+    await Storage.setWebhooks(endpoints.filter(e => e.id !== endpointId));
+    await this.updateLog(log => {
+      delete log[endpointId];
+      return log;
+    });
+  },
+
+  /**
+   * Whether a URL can be used as a webhook endpoint
+   * @param {string} url
+   * @returns {boolean}
+   */
+  isValidUrl(url) {
+    try {
+      return new URL(url).protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Host permission pattern an endpoint needs
+   * @param {string} url
+   * @returns {string}
+   */
+  getOriginPattern(url) {
+    return `${new URL(url).origin}/*`;
+  },
+
+  /**
+   * Events for one synced playlist
+   * @param {Object} previous - Tracked playlist before the sync
+   * @param {Object} current - Tracked playlist after the sync
+   * @param {Object} trackChanges - { added, removed } from SnapshotDiff.diff, or null
+   * @returns {Array<Object>}
+   */
+  buildEvents(previous, current, trackChanges = null) {
+    const events = [];
+    const playlist = {
+      ...current,
+      followersChange:
+        typeof previous.followers === 'number' && typeof current.followers === 'number'
+          ? current.followers - previous.followers
+          : null,
+    };
+    const add = (type, data) => events.push(this.createEvent(type, playlist, data));
+
+    if (current.unavailable && !previous.unavailable) {
+      add(EVENTS.REMOVED, {});
+      return events;
+    }
+
+    if (
+      typeof previous.followers === 'number' &&
+      typeof current.followers === 'number' &&
+      previous.followers !== current.followers
+    ) {
+      add(EVENTS.FOLLOWERS_CHANGED, {
+        previous: previous.followers,
+        current: current.followers,
+        change: current.followers - previous.followers,
+      });
+    }
+
+    if (previous.public === true && current.public === false) {
+      add(EVENTS.MADE_PRIVATE, {});
+    }
+
+    if (previous.name && current.name && previous.name !== current.name) {
+      add(EVENTS.RENAMED, { previousName: previous.name, name: current.name });
+    }
+
+    if (trackChanges?.added.length) {
+      add(EVENTS.TRACK_ADDED, {
+        tracks: trackChanges.added.map(a => ({
+          ...a.track,
+          position: a.position,
+        })),
+      });
+    }
+
+    if (trackChanges?.removed.length) {
+      add(EVENTS.TRACK_REMOVED, {
+        tracks: trackChanges.removed.map(r => ({
+          ...r.track,
+          previousPosition: r.position,
+        })),
+      });
+    }
+
+    return events;
+  },
+
+  /**
+   * Create an event envelope
+   * @param {string} type - One of EVENTS
+   * @param {Object} playlist - Tracked playlist, with followersChange since the last sync
+   * @param {Object} data - Type-specific payload
+   * @returns {Object}
+   */
+  createEvent(type, playlist, data) {
+    return {
+      id: `evt_${crypto.randomUUID()}`,
+      type,
+      createdAt: new Date().toISOString(),
+      playlist: {
+        id: playlist.id,
+        name: playlist.name,
+        url: `https://open.spotify.com/playlist/${playlist.id}`,
+        image: playlist.image || null,
+        followers: playlist.followers ?? null,
+        followersChange: playlist.followersChange ?? null,
+        risk:
+          typeof playlist.botScore === 'number'
+            ? { score: playlist.botScore, level: playlist.botLevel }
+            : null,
+      },
+      data,
+    };
+  },
+
+  /**
+   * Send events to every endpoint (one endpoint failing doesn't stop the others)
+   * @param {Array<Object>} events
+   * @returns {Promise<void>}
+   */
+  async dispatch(events) {
+    if (events.length === 0) return;
+
+    const endpoints = await this.getEndpoints();
+    await Promise.all(
+      endpoints.map(async endpoint => {
+        for (const event of events) {
+          await this.deliver(endpoint, event);
+        }
+      })
+    );
+  },
+
+  /**
+   * Send a test event to one endpoint
+   * Throws with error.status 404 if the endpoint has been removed
+   * @param {string} endpointId
+   * @returns {Promise<Object>} - Log entry
+   */
+  async sendTest(endpointId) {
+    const endpoint = (await this.getEndpoints()).find(e => e.id === endpointId);
+    if (!endpoint) {
+      const error = new Error('Webhook endpoint not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return this.deliver(
+      endpoint,
+      this.createEvent(EVENTS.PING, { id: 'test', name: 'Spot Checker test event' }, {})
+    );
+  },
+
+  /**
+   * POST one event in the endpoint's format, retrying transient failures, and log the outcome
+   * @param {Object} endpoint
+   * @param {Object} event
+   * @returns {Promise<Object>} - Log entry { eventId, type, at, ok, status, error, duration }
+   */
+  async deliver(endpoint, event) {
+    const body = JSON.stringify(WebhookFormats.format(event, endpoint.format));
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Spot-Checker-Event': event.type,
+      'X-Spot-Checker-Delivery': event.id,
+      'X-Spot-Checker-Timestamp': timestamp,
+    };
+    if (endpoint.secret) {
+      headers['X-Spot-Checker-Signature'] = `sha256=${await this.sign(
+        `${timestamp}.${body}`,
+        endpoint.secret
+      )}`;
+    }
+
+    const started = Date.now();
+    const entry = { eventId: event.id, type: event.type, at: started };
+
+    try {
+      const response = await Http.fetchWithRetry(
+        endpoint.url,
+        { method: 'POST', headers, body },
+        { retries: CONFIG.RETRIES }
+      );
+      Object.assign(entry, {
+        ok: response.ok,
+        status: response.status,
+        error: response.ok ? null : `HTTP ${response.status}`,
+      });
+    } catch (error) {
+      Object.assign(entry, { ok: false, status: null, error: error.message });
+    }
+    entry.duration = Date.now() - started;
+
+    await this.updateLog(log => {
+      log[endpoint.id] = [entry, ...(log[endpoint.id] || [])].slice(0, CONFIG.LOG_SIZE);
+      return log;
+    });
+
+    return entry;
+  },
+
+  /**
+   * HMAC-SHA256 signature as hex
+   * Receivers recompute it over "<X-Spot-Checker-Timestamp>.<raw body>"
+   * @param {string} payload
+   * @param {string} secret
+   * @returns {Promise<string>}
+   */
+  async sign(payload, secret) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+    return [...new Uint8Array(signature)].map(b => b.toString(16).padStart(2, '0')).join('');
+  },
+
+  /**
+   * Get an endpoint's deliveries (newest first)
+   * @param {string} endpointId
+   * @returns {Promise<Array<Object>>}
+   */
+  async getLog(endpointId) {
+    const log = await Storage.getWebhookLog();
+    return log[endpointId] || [];
+  },
+
+  /**
+   * Apply a change to the stored delivery log
+   * @param {function(Object): Object} change
+   * @returns {Promise<void>}
+   */
+  updateLog(change) {
+    logQueue = logQueue
+      .catch(() => {})
+      .then(async () => Storage.setWebhookLog(change(await Storage.getWebhookLog())));
+    return logQueue;
+  },
+};
+
+export { EVENTS as WEBHOOK_EVENTS };
@@ -0,0 +1,196 @@
+/**
+ * ZIP Utility
+ * Minimal ZIP reader (stored and deflated entries) for spreadsheet imports
+ * and writer (stored entries) for XLSX exports
+ * Inflation uses the built-in DecompressionStream, so no library is bundled
+ */
+
+// Record signatures
+const SIGNATURES = {
+  LOCAL_FILE: 0x04034b50,
+  CENTRAL_DIRECTORY: 0x02014b50,
+  END_OF_CENTRAL_DIRECTORY: 0x06054b50,
+};
+
+// Compression methods
+const METHODS = {
+  STORED: 0,
+  DEFLATE: 8,
+};
+
+// CRC-32 lookup table (IEEE polynomial)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+export const Zip = {
+  /**
+   * List the entries of a ZIP archive
+   * @param {ArrayBuffer} buffer
+   * @returns {Map<string, Object>} - Entries keyed by path
+   */
+  readEntries(buffer) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+    const endOffset = this.findEndOfCentralDirectory(view);
+
+    const count = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(offset, true) !== SIGNATURES.CENTRAL_DIRECTORY) {
+        throw new Error('Invalid ZIP central directory');
+      }
+
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+      entries.set(name, {
+        name,
+        method: view.getUint16(offset + 10, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        size: view.getUint32(offset + 24, true),
+        localOffset: view.getUint32(offset + 42, true),
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  },
+
+  /**
+   * Locate the end of central directory record (it may be followed by a comment)
+   * @param {DataView} view
+   * @returns {number} - Byte offset
+   */
+  findEndOfCentralDirectory(view) {
+    const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+    for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+      if (view.getUint32(offset, true) === SIGNATURES.END_OF_CENTRAL_DIRECTORY) {
+        return offset;
+      }
+    }
+    throw new Error('Not a ZIP file');
+  },
+
+  /**
+   * Extract an entry's contents
+   * @param {ArrayBuffer} buffer
+   * @param {Object} entry - From readEntries
+   * @returns {Promise<Uint8Array>}
+   */
+  async extract(buffer, entry) {
+    const view = new DataView(buffer);
+    if (view.getUint32(entry.localOffset, true) !== SIGNATURES.LOCAL_FILE) {
+      throw new Error(`Invalid ZIP entry: ${entry.name}`);
+    }
+
+    // Local name/extra lengths can differ from the central directory's
+    const nameLength = view.getUint16(entry.localOffset + 26, true);
+    const extraLength = view.getUint16(entry.localOffset + 28, true);
+    const start = entry.localOffset + 30 + nameLength + extraLength;
+    const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+    if (entry.method === METHODS.STORED) {
+      return data.slice();
+    }
+
+    if (entry.method === METHODS.DEFLATE) {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    throw new Error(`Unsupported ZIP compression method: ${entry.method}`);
+  },
+
+  /**
+   * Extract an entry as UTF-8 text
+   * @param {ArrayBuffer} buffer
+   * @param {Object} entry
+   * @returns {Promise<string>}
+   */
+  async extractText(buffer, entry) {
+    return new TextDecoder().decode(await this.extract(buffer, entry));
+  },
+
+  /**
+   * Build an uncompressed ZIP archive
+   * @param {Array<{name: string, data: string|Uint8Array}>} files
+   * @returns {Uint8Array}
+   */
+  create(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+      const crc = this.crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, SIGNATURES.LOCAL_FILE, true);
+      local.setUint16(4, 20, true); // Version needed
+      local.setUint16(8, METHODS.STORED, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, SIGNATURES.CENTRAL_DIRECTORY, true);
+      central.setUint16(4, 20, true); // Version made by
+      central.setUint16(6, 20, true); // Version needed
+      central.setUint16(10, METHODS.STORED, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+
+      localParts.push(new Uint8Array(local.buffer), name, data);
+      centralParts.push(new Uint8Array(central.buffer), name);
+      offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, SIGNATURES.END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+      output.set(part, position);
+      position += part.length;
+    }
+
+    return output;
+  },
+
+  /**
+   * CRC-32 checksum of a byte array
+   * @param {Uint8Array} data
+   * @returns {number}
+   */
+  crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  },
+};
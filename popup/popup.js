@@ -6,7 +6,24 @@
 
 import { SpotifyAPI } from '../lib/spotify-api.js';
 import { Storage } from '../lib/storage.js';
-import { Premium } from '../lib/premium.js';
+import { Premium, ENTITLEMENT_STATES } from '../lib/premium.js';
+import { BotScore } from '../lib/bot-score.js';
+import { TrackAnalysis } from '../lib/track-analysis.js';
+import { CuratorAnalysis } from '../lib/curator-analysis.js';
+import { SnapshotDiff } from '../lib/snapshot-diff.js';
+import { PlaylistCache, TTL_OPTIONS } from '../lib/cache.js';
+import { Spreadsheet } from '../lib/spreadsheet.js';
+import { BulkJobs } from '../lib/bulk-jobs.js';
+import { Exporter, COLUMNS as EXPORT_COLUMNS, FORMATS as EXPORT_FORMATS } from '../lib/export.js';
+import { Report } from '../lib/report.js';
+import { FollowerTrend, RANGES as FOLLOWER_RANGES } from '../lib/follower-trend.js';
+import { SyncScheduler, INTERVAL_OPTIONS } from '../lib/sync-scheduler.js';
+import { Alerts, ALERT_RULE_TYPES } from '../lib/alerts.js';
+import { Webhooks } from '../lib/webhooks.js';
+import { WEBHOOK_FORMATS } from '../lib/webhook-formats.js';
+import { ApiKeys } from '../lib/api-keys.js';
+import { Metering } from '../lib/metering.js';
+import { Auth, SIGN_IN_STATES } from '../lib/auth.js';
 import {
   createElement,
   clearChildren,
@@ -16,7 +33,12 @@ import {
   createBadge,
   createTrackedItem,
   createFactorBadge,
+  createPlacementItem,
+  createDiffItem,
+  createDeltaItem,
+  createLineChart,
   formatNumber,
+  formatAge,
   truncate,
 } from '../lib/dom-utils.js';
 
@@ -34,6 +56,7 @@ const elements = {
   checkBtn: document.getElementById('checkBtn'),
   usageCounter: document.getElementById('usageCounter'),
   checksUsed: document.getElementById('checksUsed'),
+  checksLimit: document.getElementById('checksLimit'),
   usageFill: document.getElementById('usageFill'),
   results: document.getElementById('results'),
   errorState: document.getElementById('errorState'),
@@ -47,36 +70,67 @@ const elements = {
   followers: document.getElementById('followers'),
   tracks: document.getElementById('tracks'),
   lastUpdated: document.getElementById('lastUpdated'),
+  cacheAge: document.getElementById('cacheAge'),
+  refreshBtn: document.getElementById('refreshBtn'),
   visibility: document.getElementById('visibility'),
   followerTrend: document.getElementById('followerTrend'),
   botScoreSection: document.getElementById('botScoreSection'),
   botScore: document.getElementById('botScore'),
   botScoreFill: document.getElementById('botScoreFill'),
   botScoreFactors: document.getElementById('botScoreFactors'),
+  deepScanBtn: document.getElementById('deepScanBtn'),
+  deepScanStatus: document.getElementById('deepScanStatus'),
+  curatorSection: document.getElementById('curatorSection'),
+  curatorScore: document.getElementById('curatorScore'),
+  curatorStats: document.getElementById('curatorStats'),
+  curatorFactors: document.getElementById('curatorFactors'),
 
   // Actions
   openPlaylistBtn: document.getElementById('openPlaylistBtn'),
   trackPlaylistBtn: document.getElementById('trackPlaylistBtn'),
   exportBtn: document.getElementById('exportBtn'),
+  reportBtn: document.getElementById('reportBtn'),
 
   // Bulk
   bulkPremiumGate: document.getElementById('bulkPremiumGate'),
   bulkContent: document.getElementById('bulkContent'),
   bulkUrls: document.getElementById('bulkUrls'),
+  bulkFile: document.getElementById('bulkFile'),
+  bulkUploadBtn: document.getElementById('bulkUploadBtn'),
   bulkCount: document.getElementById('bulkCount'),
   bulkCheckBtn: document.getElementById('bulkCheckBtn'),
   bulkProgress: document.getElementById('bulkProgress'),
   bulkProgressFill: document.getElementById('bulkProgressFill'),
   bulkProgressText: document.getElementById('bulkProgressText'),
+  bulkCancelBtn: document.getElementById('bulkCancelBtn'),
   bulkResults: document.getElementById('bulkResults'),
+  bulkResultsHead: document.getElementById('bulkResultsHead'),
   bulkResultsBody: document.getElementById('bulkResultsBody'),
   exportBulkBtn: document.getElementById('exportBulkBtn'),
+  reportBulkBtn: document.getElementById('reportBulkBtn'),
 
   // History
   historyPremiumGate: document.getElementById('historyPremiumGate'),
   historyContent: document.getElementById('historyContent'),
   trackedPlaylists: document.getElementById('trackedPlaylists'),
   historyEmpty: document.getElementById('historyEmpty'),
+  historyList: document.getElementById('historyList'),
+  historyDetail: document.getElementById('historyDetail'),
+  historyDetailName: document.getElementById('historyDetailName'),
+  historyBackBtn: document.getElementById('historyBackBtn'),
+  historyCheckBtn: document.getElementById('historyCheckBtn'),
+  followerRange: document.getElementById('followerRange'),
+  followerSummary: document.getElementById('followerSummary'),
+  syncStatus: document.getElementById('syncStatus'),
+  followerChart: document.getElementById('followerChart'),
+  followerDeltas: document.getElementById('followerDeltas'),
+  rotationSummary: document.getElementById('rotationSummary'),
+  snapshotCompare: document.getElementById('snapshotCompare'),
+  snapshotDiff: document.getElementById('snapshotDiff'),
+  watchlistInput: document.getElementById('watchlistInput'),
+  watchlistCount: document.getElementById('watchlistCount'),
+  saveWatchlistBtn: document.getElementById('saveWatchlistBtn'),
+  placementList: document.getElementById('placementList'),
 
   // User info
   userTier: document.getElementById('userTier'),
@@ -84,6 +138,11 @@ const elements = {
   // Modals
   upgradeModal: document.getElementById('upgradeModal'),
   settingsModal: document.getElementById('settingsModal'),
+  exportModal: document.getElementById('exportModal'),
+  exportFormat: document.getElementById('exportFormat'),
+  exportColumns: document.getElementById('exportColumns'),
+  exportFactors: document.getElementById('exportFactors'),
+  exportConfirmBtn: document.getElementById('exportConfirmBtn'),
 
   // Footer
   settingsLink: document.getElementById('settingsLink'),
@@ -93,6 +152,14 @@ const elements = {
 // State
 let currentPlaylist = null;
 let bulkResults = [];
+let bulkColumns = [];
+let bulkJobId = null;
+let exportTarget = { results: [], extraColumns: [] };
+let detailPlaylist = null;
+let detailSnapshots = [];
+let detailHistory = [];
+let detailRange = '30d';
+let signInPoll = null;
 
 // Initialise
 async function init() {
@@ -105,12 +172,34 @@ async function init() {
 
   // Load tracked playlists
   await loadTrackedPlaylists();
+  await loadPlacementMonitor();
+
+  // Show a bulk job still running in the background (or its results)
+  await loadBulkJob();
 
   // Setup event listeners
   setupEventListeners();
 
-  // Check if on Spotify page
-  checkActiveTab();
+  // Opened from an alert notification, or else check if on Spotify page
+  const alertPlaylistId = new URLSearchParams(location.search).get('playlist');
+  if (alertPlaylistId) {
+    await openAlertPlaylist(alertPlaylistId);
+  } else {
+    checkActiveTab();
+  }
+}
+
+// Show the playlist an alert notification was about
+async function openAlertPlaylist(playlistId) {
+  const tracked = await Storage.getTrackedPlaylist(playlistId);
+  if (tracked) {
+    switchTab('history');
+    await openHistoryDetail(tracked);
+    return;
+  }
+
+  elements.playlistUrl.value = `https://open.spotify.com/playlist/${playlistId}`;
+  handleSingleCheck();
 }
 
 // Event Listeners
@@ -121,10 +210,11 @@ function setupEventListeners() {
   });
 
   // Single check
-  elements.checkBtn.addEventListener('click', handleSingleCheck);
+  elements.checkBtn.addEventListener('click', () => handleSingleCheck());
   elements.playlistUrl.addEventListener('keypress', e => {
     if (e.key === 'Enter') handleSingleCheck();
   });
+  elements.refreshBtn.addEventListener('click', () => handleSingleCheck(true));
   elements.playlistUrl.addEventListener('paste', handlePaste);
 
   // Result actions
@@ -135,12 +225,58 @@ function setupEventListeners() {
   });
 
   elements.trackPlaylistBtn.addEventListener('click', handleTrackPlaylist);
-  elements.exportBtn.addEventListener('click', () => exportResults([currentPlaylist]));
+  elements.deepScanBtn.addEventListener('click', handleDeepScan);
+  elements.exportBtn.addEventListener('click', () => showExportModal([currentPlaylist]));
+  elements.reportBtn.addEventListener('click', () => handleReport([currentPlaylist]));
 
   // Bulk
   elements.bulkUrls.addEventListener('input', updateBulkCount);
+  elements.bulkUploadBtn.addEventListener('click', () => elements.bulkFile.click());
+  elements.bulkFile.addEventListener('change', handleBulkUpload);
   elements.bulkCheckBtn.addEventListener('click', handleBulkCheck);
-  elements.exportBulkBtn.addEventListener('click', () => exportResults(bulkResults));
+  elements.bulkCancelBtn.addEventListener('click', () => {
+    if (bulkJobId)
+      browserAPI.runtime.sendMessage({
+        type: 'CANCEL_BULK_JOB',
+        jobId: bulkJobId,
+      });
+  });
+  browserAPI.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.bulkJobs) loadBulkJob();
+  });
+  elements.exportBulkBtn.addEventListener('click', () => showExportModal(bulkResults, bulkColumns));
+  elements.exportConfirmBtn.addEventListener('click', handleExport);
+  elements.reportBulkBtn.addEventListener('click', () => handleReport(bulkResults));
+
+  // Release monitor
+  elements.watchlistInput.addEventListener('input', updateWatchlistCount);
+  elements.saveWatchlistBtn.addEventListener('click', handleSaveWatchlist);
+
+  // History detail
+  elements.historyBackBtn.addEventListener('click', closeHistoryDetail);
+  elements.historyCheckBtn.addEventListener('click', () => {
+    if (!detailPlaylist) return;
+    elements.playlistUrl.value = `https://open.spotify.com/playlist/${detailPlaylist.id}`;
+    switchTab('single');
+    handleSingleCheck();
+  });
+  elements.snapshotCompare.addEventListener('change', renderSnapshotDiff);
+  FOLLOWER_RANGES.forEach(range => {
+    elements.followerRange.appendChild(
+      createElement(
+        'button',
+        {
+          className: `range-option${range.id === detailRange ? ' active' : ''}`,
+          dataRange: range.id,
+          onClick: () => {
+            detailRange = range.id;
+            renderFollowerChart();
+          },
+        },
+        range.label
+      )
+    );
+  });
 
   // Upgrade buttons
   document.querySelectorAll('.btn-upgrade').forEach(btn => {
@@ -173,6 +309,8 @@ function setupEventListeners() {
   // Settings
   document.getElementById('clearDataBtn')?.addEventListener('click', handleClearData);
   document.getElementById('signOutBtn')?.addEventListener('click', handleSignOut);
+  document.getElementById('signInBtn')?.addEventListener('click', handleSignIn);
+  document.getElementById('sendMagicLinkBtn')?.addEventListener('click', handleSendMagicLink);
 
   // Checkboxes
   document.getElementById('autoCheck')?.addEventListener('change', e => {
@@ -181,6 +319,47 @@ function setupEventListeners() {
   document.getElementById('showBadge')?.addEventListener('change', e => {
     Storage.set('showBadge', e.target.checked);
   });
+  document.getElementById('cacheTtl')?.addEventListener('change', e => {
+    Storage.setCacheTtl(Number(e.target.value));
+  });
+  document.getElementById('addWebhookBtn')?.addEventListener('click', handleAddWebhook);
+  document.getElementById('webhookUpgradeLink')?.addEventListener('click', e => {
+    e.preventDefault();
+    closeModals();
+    showUpgradeModal();
+  });
+  document.getElementById('createApiKeyBtn')?.addEventListener('click', handleCreateApiKey);
+  document.getElementById('apiUpgradeLink')?.addEventListener('click', e => {
+    e.preventDefault();
+    closeModals();
+    showUpgradeModal();
+  });
+  document.getElementById('toggleApiLogBtn')?.addEventListener('click', e => {
+    const log = document.getElementById('apiLog');
+    log.classList.toggle('hidden');
+    e.target.textContent = log.classList.contains('hidden') ? 'Show' : 'Hide';
+  });
+  document.getElementById('clearApiLogBtn')?.addEventListener('click', async () => {
+    await browserAPI.runtime.sendMessage({ type: 'CLEAR_API_LOG' });
+    await loadApiSettings();
+  });
+  document.getElementById('syncInterval')?.addEventListener('change', e => {
+    Storage.setSyncInterval(Number(e.target.value));
+  });
+  document.getElementById('historyRetention')?.addEventListener('change', async e => {
+    await Storage.setHistoryRetention(Number(e.target.value));
+    await showStorageUsage();
+  });
+
+  // Report branding
+  document.getElementById('agencyName')?.addEventListener('change', e => {
+    Storage.updateReportBranding({ agencyName: e.target.value.trim() });
+  });
+  document.getElementById('agencyLogo')?.addEventListener('change', handleLogoUpload);
+  document.getElementById('removeLogoBtn')?.addEventListener('click', async () => {
+    await Storage.updateReportBranding({ logo: null });
+    showLogoPreview(null);
+  });
 }
 
 // Tab switching
@@ -193,8 +372,8 @@ function switchTab(tabId) {
   });
 }
 
-// Single playlist check
-async function handleSingleCheck() {
+// Single playlist check (refresh skips the cache)
+async function handleSingleCheck(refresh = false) {
   const url = elements.playlistUrl.value.trim();
 
   if (!url) {
@@ -211,46 +390,58 @@ async function handleSingleCheck() {
     return;
   }
 
-  // Check usage limit for free tier
   const tier = await Premium.getTier();
-  if (tier === 'free') {
-    const usage = await Storage.getDailyUsage();
-    if (usage >= 5) {
-      showUpgradeModal();
-      return;
-    }
-  }
 
   // Show loading
   setLoading(true);
   hideResults();
 
   try {
-    const playlist = await SpotifyAPI.getPlaylist(playlistId);
+    // The background script meters checks (recently checked playlists come from the cache for free)
+    const response = await browserAPI.runtime.sendMessage({
+      type: 'GET_PLAYLIST',
+      playlistId,
+      refresh,
+    });
+    if (!response?.ok) {
+      throw Object.assign(new Error(response?.error?.message || 'Spot Checker is not responding'), {
+        status: response?.error?.status,
+        code: response?.error?.code,
+      });
+    }
+
+    // Bot score comes from the background script, as on the page; in the popup it's Premium
+    const { playlist, cachedAt, fromCache, historyAnomalies } = response.data;
+    const botData = tier !== 'free' ? response.data.botData : null;
     currentPlaylist = playlist;
+    currentPlaylist.historyAnomalies = historyAnomalies;
+    currentPlaylist.botData = botData;
 
-    // Increment usage for free tier
-    if (tier === 'free') {
-      await Storage.incrementDailyUsage();
+    if (!fromCache) {
       await updateUsageUI();
     }
 
-    // Calculate bot score (premium feature)
-    let botData = null;
-    if (tier !== 'free') {
-      botData = await calculateBotScore(playlist);
-    }
-
     // Check for historical data
     const history = await Storage.getPlaylistHistory(playlistId);
 
     displayResults(playlist, botData, history);
+    setText(elements.cacheAge, `Checked ${formatAge(cachedAt)}`);
+
+    // Curator profile loads separately so the main result isn't held up
+    if (tier !== 'free') {
+      loadCurator(playlist);
+    } else {
+      elements.curatorSection.classList.add('hidden');
+    }
   } catch (error) {
     console.error('Check failed:', error);
-    if (error.status === 404) {
+    if (error.code === 'DAILY_LIMIT') {
+      showUpgradeModal();
+    } else if (error.status === 404) {
       showError('Playlist not found', 'This playlist may be private or no longer exists.');
     } else if (error.status === 429) {
-      showError('Rate limited', 'Too many requests. Please try again in a moment.');
+      // Only reaches here once retries are exhausted or Spotify asks for a long wait
+      showError('Rate limited', 'Spotify is limiting requests. Please try again later.');
     } else {
       showError('Check failed', error.message || 'Something went wrong. Please try again.');
     }
@@ -296,9 +487,9 @@ function displayResults(playlist, botData, history) {
   setText(elements.tracks, String(playlist.tracks?.total || 0));
   setText(elements.visibility, playlist.public ? 'Public' : 'Private');
 
-  // Last updated from snapshot_id
-  const lastUpdated = parseSnapshotDate(playlist.snapshot_id);
-  setText(elements.lastUpdated, lastUpdated ? formatDate(lastUpdated) : 'Unknown');
+  // Last updated: when the latest track was added (unknown past the first page of tracks)
+  const lastAdded = playlist.tracks?.lastAddedAt;
+  setText(elements.lastUpdated, lastAdded ? formatDate(new Date(lastAdded)) : 'Unknown');
 
   // Historical trend (premium)
   if (history && history.length > 1) {
@@ -315,6 +506,11 @@ function displayResults(playlist, botData, history) {
   if (botData) {
     displayBotScore(botData);
   }
+
+  // Reset deep scan for the new playlist
+  elements.deepScanBtn.disabled = false;
+  setText(elements.deepScanBtn, 'Deep scan tracks');
+  elements.deepScanStatus.classList.add('hidden');
 }
 
 // Display bot score
@@ -334,125 +530,154 @@ function displayBotScore(botData) {
   });
 }
 
-// Calculate bot score
-async function calculateBotScore(playlist) {
-  const factors = [];
-  let score = 0;
+// Load and display curator analysis (premium)
+async function loadCurator(playlist) {
+  const ownerId = playlist.owner?.id;
+  if (!ownerId) return;
 
-  const followers = playlist.followers?.total || 0;
-  const tracks = playlist.tracks?.total || 0;
+  elements.curatorSection.classList.remove('hidden');
+  setText(elements.curatorScore, '-');
+  elements.curatorScore.className = 'bot-score-value';
+  setText(elements.curatorStats, 'Analysing curator...');
+  clearChildren(elements.curatorFactors);
 
-  // Factor 1: Followers to tracks ratio
-  if (tracks > 0) {
-    const ratio = followers / tracks;
-    if (ratio < 10) {
-      factors.push({ label: 'Low follower ratio', level: 'warning' });
-      score += 15;
-    } else if (ratio > 10000) {
-      factors.push({ label: 'Suspiciously high ratio', level: 'danger' });
-      score += 25;
-    }
-  }
+  try {
+    const curatorData = await CuratorAnalysis.analyse(ownerId);
 
-  // Factor 2: Very new playlist with high followers
-  const snapshotDate = parseSnapshotDate(playlist.snapshot_id);
-  if (snapshotDate) {
-    const daysSinceCreation = Math.floor((Date.now() - snapshotDate) / (1000 * 60 * 60 * 24));
-    if (daysSinceCreation < 30 && followers > 10000) {
-      factors.push({ label: 'New playlist, high followers', level: 'danger' });
-      score += 30;
+    // Ignore results if another playlist was checked meanwhile
+    if (currentPlaylist !== playlist) return;
+
+    playlist.curatorData = curatorData;
+    displayCurator(curatorData);
+  } catch (error) {
+    console.error('Curator analysis failed:', error);
+    if (currentPlaylist === playlist) {
+      setText(elements.curatorStats, 'Curator profile unavailable');
     }
   }
+}
 
-  // Factor 3: Generic name patterns
-  const genericNames = ['chill', 'vibes', 'lofi', 'study', 'sleep', 'workout'];
-  const nameLower = playlist.name.toLowerCase();
-  if (genericNames.some(n => nameLower.includes(n)) && followers > 50000) {
-    factors.push({ label: 'Generic name pattern', level: 'warning' });
-    score += 10;
-  }
+// Display curator analysis
+function displayCurator(curatorData) {
+  const { profile, score, level, factors } = curatorData;
 
-  // Factor 4: No description
-  if (!playlist.description || playlist.description.length < 10) {
-    factors.push({ label: 'No description', level: 'warning' });
-    score += 10;
-  }
+  setText(elements.curatorScore, `${score}%`);
+  elements.curatorScore.className = `bot-score-value ${level}`;
 
-  // Factor 5: Round follower numbers
-  if (followers > 1000 && followers % 1000 === 0) {
-    factors.push({ label: 'Round follower count', level: 'warning' });
-    score += 15;
+  const stats = [
+    `${formatNumber(profile.followers)} followers`,
+    `${profile.publicPlaylists} public playlists`,
+  ];
+  if (profile.followerSpread !== null) {
+    stats.push(`${Math.round(profile.followerSpread * 100)}% follower spread`);
   }
+  setText(elements.curatorStats, stats.join(' · '));
+
+  clearChildren(elements.curatorFactors);
+  factors.forEach(factor => {
+    elements.curatorFactors.appendChild(createFactorBadge(factor));
+  });
+}
 
-  // Determine level
-  let level = 'low';
-  if (score >= 50) level = 'high';
-  else if (score >= 25) level = 'medium';
+// Deep scan the full track list and rescore (premium)
+async function handleDeepScan() {
+  if (!currentPlaylist) return;
 
-  // Add positive factor if low risk
-  if (factors.length === 0) {
-    factors.push({ label: 'No red flags detected', level: '' });
+  if (!(await Premium.hasFeature('botScore'))) {
+    showUpgradeModal();
+    return;
   }
 
-  return { score: Math.min(score, 100), level, factors };
+  const playlist = currentPlaylist;
+  elements.deepScanBtn.disabled = true;
+  setText(elements.deepScanBtn, 'Scanning tracks...');
+
+  try {
+    const trackAnalysis = await TrackAnalysis.deepScan(playlist.id);
+
+    // Ignore results if another playlist was checked meanwhile
+    if (currentPlaylist !== playlist) return;
+
+    const botData = BotScore.calculate(playlist, {
+      trackAnalysis,
+      historyAnomalies: playlist.historyAnomalies,
+    });
+    playlist.botData = botData;
+    displayBotScore(botData);
+
+    setText(elements.deepScanBtn, 'Deep scan complete');
+    setText(elements.deepScanStatus, `${trackAnalysis.total} tracks analysed`);
+    elements.deepScanStatus.classList.remove('hidden');
+  } catch (error) {
+    console.error('Deep scan failed:', error);
+    elements.deepScanBtn.disabled = false;
+    setText(elements.deepScanBtn, 'Deep scan tracks');
+    setText(elements.deepScanStatus, 'Deep scan failed. Please try again.');
+    elements.deepScanStatus.classList.remove('hidden');
+  }
 }
 
 // Bulk check
 async function handleBulkCheck() {
-  const urls = elements.bulkUrls.value
-    .split('\n')
-    .map(u => u.trim())
-    .filter(u => u);
+  const { headers, entries } = parseBulkInput();
 
-  if (urls.length === 0) {
+  if (entries.length === 0) {
     return;
   }
 
-  if (urls.length > 50) {
-    alert('Maximum 50 playlists at once');
+  const { bulkLimit } = await Metering.getStatus();
+  if (entries.length > bulkLimit) {
+    alert(`Maximum ${bulkLimit} playlists at once`);
     return;
   }
 
-  // Show progress
-  elements.bulkProgress.classList.remove('hidden');
-  elements.bulkResults.classList.add('hidden');
   elements.bulkCheckBtn.disabled = true;
 
-  bulkResults = [];
-  let completed = 0;
-
-  // Process in batches of 5
-  const batchSize = 5;
-  for (let i = 0; i < urls.length; i += batchSize) {
-    const batch = urls.slice(i, i + batchSize);
-
-    const results = await Promise.all(
-      batch.map(async url => {
-        const id = SpotifyAPI.extractPlaylistId(url);
-        if (!id) return { error: 'Invalid URL', url };
-
-        try {
-          const playlist = await SpotifyAPI.getPlaylist(id);
-          const botData = await calculateBotScore(playlist);
-          return { ...playlist, botData };
-        } catch (e) {
-          return { error: e.message, url };
-        }
-      })
+  // The background script runs the job, so it carries on if the popup closes
+  const response = await browserAPI.runtime.sendMessage({
+    type: 'START_BULK_JOB',
+    entries,
+    headers,
+  });
+
+  if (!response?.ok) {
+    elements.bulkCheckBtn.disabled = false;
+    alert(
+      response?.error?.code?.startsWith('BULK_')
+        ? response.error.message
+        : 'Could not start the bulk check. Please try again.'
     );
+    return;
+  }
 
-    bulkResults.push(...results);
-    completed += batch.length;
+  await loadBulkJob();
+}
+
+// Show progress or results of the latest bulk job
+async function loadBulkJob() {
+  const job = await BulkJobs.getLatest();
+  if (!job) return;
+
+  bulkJobId = job.id;
+
+  if (!BulkJobs.isFinished(job)) {
+    elements.bulkProgress.classList.remove('hidden');
+    elements.bulkResults.classList.add('hidden');
+    elements.bulkCheckBtn.disabled = true;
 
-    // Update progress
-    const progress = (completed / urls.length) * 100;
+    const progress = (job.completed / job.items.length) * 100;
     elements.bulkProgressFill.style.width = `${progress}%`;
-    setText(elements.bulkProgressText, `${completed}/${urls.length} checked`);
+    setText(elements.bulkProgressText, `${job.completed}/${job.items.length} checked`);
+    return;
   }
 
-  // Display results
+  bulkColumns = job.headers;
+  bulkResults = BulkJobs.getResults(job);
   displayBulkResults();
   elements.bulkCheckBtn.disabled = false;
+
+  // Results have been seen - clear the completion badge
+  (browserAPI.action || browserAPI.browserAction)?.setBadgeText({ text: '' });
 }
 
 // Display bulk results using safe DOM methods
@@ -460,10 +685,17 @@ function displayBulkResults() {
   elements.bulkResults.classList.remove('hidden');
   elements.bulkProgress.classList.add('hidden');
 
+  // Spreadsheet columns follow the fixed ones
+  clearChildren(elements.bulkResultsHead);
+  ['Playlist', 'Followers', 'Tracks', 'Risk', ...bulkColumns].forEach(name => {
+    elements.bulkResultsHead.appendChild(createElement('th', {}, name));
+  });
+
   clearChildren(elements.bulkResultsBody);
 
   bulkResults.forEach(result => {
     let row;
+    const extraCells = bulkColumns.map(name => truncate(result.extra?.[name] || '', 30));
 
     if (result.error) {
       row = createTableRow([
@@ -472,6 +704,7 @@ function displayBulkResults() {
           colspan: 4,
           style: { color: 'var(--error-red)' },
         },
+        ...extraCells,
       ]);
     } else {
       const link = createLink(result.external_urls?.spotify || '#', truncate(result.name, 25), {
@@ -486,6 +719,7 @@ function displayBulkResults() {
         formatNumber(result.followers?.total || 0),
         String(result.tracks?.total || 0),
         { content: badge },
+        ...extraCells,
       ]);
     }
 
@@ -493,12 +727,35 @@ function displayBulkResults() {
   });
 }
 
+// Parse the bulk input as a URL list or pasted/uploaded spreadsheet
+function parseBulkInput() {
+  return Spreadsheet.toPlaylistRows(Spreadsheet.parseText(elements.bulkUrls.value));
+}
+
 // Update bulk URL count
 function updateBulkCount() {
-  const count = elements.bulkUrls.value.split('\n').filter(u => u.trim()).length;
+  const count = parseBulkInput().entries.length;
   setText(elements.bulkCount, String(count));
 }
 
+// Load a CSV/TSV/XLSX file into the bulk input as tab-separated cells
+async function handleBulkUpload() {
+  const file = elements.bulkFile.files[0];
+  if (!file) return;
+
+  try {
+    const rows = await Spreadsheet.readFile(file);
+    elements.bulkUrls.value = Spreadsheet.toDelimited(rows, '\t');
+    updateBulkCount();
+  } catch (error) {
+    console.error('Upload failed:', error);
+    alert(`Could not read ${file.name}: ${error.message}`);
+  } finally {
+    // Allow re-uploading the same file
+    elements.bulkFile.value = '';
+  }
+}
+
 // Track playlist
 async function handleTrackPlaylist() {
   if (!currentPlaylist) return;
@@ -508,11 +765,16 @@ async function handleTrackPlaylist() {
     name: currentPlaylist.name,
     image: currentPlaylist.images?.[0]?.url,
     followers: currentPlaylist.followers?.total,
+    public: currentPlaylist.public,
+    trackCount: currentPlaylist.tracks?.total,
     timestamp: Date.now(),
   });
 
   await loadTrackedPlaylists();
 
+  // Store the current track list as the first snapshot to diff against
+  captureSnapshot(currentPlaylist);
+
   // Show confirmation
   setText(elements.trackPlaylistBtn, 'Tracked ✓');
   setTimeout(() => {
@@ -546,8 +808,12 @@ async function loadTrackedPlaylists() {
   elements.historyEmpty.classList.add('hidden');
   clearChildren(elements.trackedPlaylists);
 
-  tracked.forEach(p => {
-    const history = p.history || [];
+  const histories = await Promise.all(
+    tracked.map(p => Storage.getPlaylistHistory(p.id, { limit: 2 }))
+  );
+
+  tracked.forEach((p, i) => {
+    const history = histories[i];
     let trend = null;
 
     if (history.length > 1) {
@@ -557,48 +823,351 @@ async function loadTrackedPlaylists() {
     const item = createTrackedItem(p, trend);
 
     // Add click handler
-    item.addEventListener('click', () => {
-      elements.playlistUrl.value = `https://open.spotify.com/playlist/${p.id}`;
-      switchTab('single');
-      handleSingleCheck();
-    });
+    item.addEventListener('click', () => openHistoryDetail(p));
 
     elements.trackedPlaylists.appendChild(item);
   });
 }
 
-// Export results
-function exportResults(results) {
-  const data = results
-    .filter(r => r && !r.error)
-    .map(r => ({
-      name: r.name,
-      curator: r.owner?.display_name,
-      followers: r.followers?.total,
-      tracks: r.tracks?.total,
-      public: r.public,
-      url: r.external_urls?.spotify,
-      botScore: r.botData?.score,
-      botLevel: r.botData?.level,
-    }));
-
-  if (data.length === 0) return;
-
-  // CSV format
-  const headers = Object.keys(data[0]);
-  const csv = [
-    headers.join(','),
-    ...data.map(row => headers.map(h => `"${row[h] || ''}"`).join(',')),
+// Store a track list snapshot for a newly tracked playlist
+async function captureSnapshot(playlist) {
+  try {
+    const items = await SpotifyAPI.getAllPlaylistTracks(playlist.id);
+    await Storage.savePlaylistSnapshot(playlist.id, {
+      snapshotId: playlist.snapshot_id,
+      timestamp: Date.now(),
+      tracks: SnapshotDiff.toSnapshotTracks(items),
+    });
+  } catch (error) {
+    console.error('Snapshot capture failed:', error);
+  }
+}
+
+// Open the detail view for a tracked playlist
+async function openHistoryDetail(playlist) {
+  detailPlaylist = playlist;
+  detailSnapshots = await Storage.getPlaylistSnapshots(playlist.id);
+  detailHistory = await Storage.getPlaylistHistory(playlist.id);
+
+  setText(elements.historyDetailName, playlist.name);
+  showSyncStatus(playlist);
+  elements.historyList.classList.add('hidden');
+  elements.historyDetail.classList.remove('hidden');
+
+  // Rotation summary
+  const stats = SnapshotDiff.rotationStats(detailSnapshots);
+  if (stats.changes === 0) {
+    setText(
+      elements.rotationSummary,
+      detailSnapshots.length
+        ? 'No changes since tracking started. Changes appear after the curator edits the playlist.'
+        : 'No track list stored yet. It will be captured on the next sync.'
+    );
+  } else {
+    const days =
+      stats.avgDaysBetween < 1 ? 'under a day' : `${Math.round(stats.avgDaysBetween)} days`;
+    setText(
+      elements.rotationSummary,
+      `${stats.changes} updates, ${stats.tracksChanged} tracks swapped · every ${days} on average`
+    );
+  }
+
+  // Compare latest snapshot with an older one
+  clearChildren(elements.snapshotCompare);
+  detailSnapshots.slice(1).forEach((snapshot, i) => {
+    elements.snapshotCompare.appendChild(
+      createElement(
+        'option',
+        { value: String(i + 1) },
+        `Compared with ${formatDate(new Date(snapshot.timestamp)).toLowerCase()}`
+      )
+    );
+  });
+  elements.snapshotCompare.classList.toggle('hidden', detailSnapshots.length < 2);
+
+  renderFollowerChart();
+  renderSnapshotDiff();
+}
+
+// Show when a tracked playlist was last refreshed and whether the last attempt failed
+function showSyncStatus(playlist) {
+  const updated = playlist.lastUpdated
+    ? `Updated ${formatDate(new Date(playlist.lastUpdated)).toLowerCase()}`
+    : 'Not refreshed yet';
+
+  setText(
+    elements.syncStatus,
+    playlist.lastError ? `${updated} · Last refresh failed: ${playlist.lastError}` : updated
+  );
+  elements.syncStatus.classList.toggle('error', Boolean(playlist.lastError));
+}
+
+// Close the detail view
+function closeHistoryDetail() {
+  detailPlaylist = null;
+  detailHistory = [];
+  elements.historyDetail.classList.add('hidden');
+  elements.historyList.classList.remove('hidden');
+}
+
+// Render the follower chart and daily changes for the selected range
+function renderFollowerChart() {
+  elements.followerRange.querySelectorAll('.range-option').forEach(button => {
+    button.classList.toggle('active', button.dataset.range === detailRange);
+  });
+  clearChildren(elements.followerChart);
+  clearChildren(elements.followerDeltas);
+
+  const { daily, deltas } = FollowerTrend.analyse(detailHistory, detailRange);
+  if (daily.length === 0) {
+    setText(
+      elements.followerSummary,
+      detailHistory.length
+        ? 'No follower counts in this range.'
+        : 'No follower counts yet. They are recorded on each sync.'
+    );
+    return;
+  }
+
+  const anomalies = new Map(deltas.filter(d => d.anomaly).map(d => [d.timestamp, d]));
+  elements.followerChart.appendChild(
+    createLineChart(
+      daily.map(d => {
+        const delta = anomalies.get(d.timestamp);
+        return {
+          x: d.timestamp,
+          y: d.followers,
+          marker: delta?.anomaly,
+          label:
+            delta &&
+            `${delta.anomaly === 'jump' ? 'Sudden jump' : 'Sudden drop'}: ${delta.change > 0 ? '+' : ''}${delta.change} on ${new Date(d.timestamp).toLocaleDateString()}`,
+        };
+      })
+    )
+  );
+
+  // Net change over the range, from the reading before it where there is one
+  const first = deltas.length ? deltas[0].followers - deltas[0].change : daily[0].followers;
+  const last = daily[daily.length - 1].followers;
+  const change = last - first;
+  const percent = first > 0 ? Math.abs((change / first) * 100).toFixed(1) : '0.0';
+  const sign = change > 0 ? '+' : change < 0 ? '−' : '';
+  const summary = [`${sign}${formatNumber(Math.abs(change))} followers (${sign}${percent}%)`];
+  if (anomalies.size > 0) {
+    summary.push(`${anomalies.size} unusual ${anomalies.size === 1 ? 'change' : 'changes'}`);
+  }
+  setText(elements.followerSummary, summary.join(' · '));
+
+  [...deltas].reverse().forEach(delta => {
+    elements.followerDeltas.appendChild(
+      createDeltaItem(delta, new Date(delta.timestamp).toLocaleDateString())
+    );
+  });
+}
+
+// Render tracks added, removed and moved between two snapshots
+function renderSnapshotDiff() {
+  clearChildren(elements.snapshotDiff);
+  if (detailSnapshots.length < 2) return;
+
+  const previous = detailSnapshots[Number(elements.snapshotCompare.value) || 1];
+  const { added, removed, moved } = SnapshotDiff.diff(previous, detailSnapshots[0]);
+
+  if (added.length + removed.length + moved.length === 0) {
+    elements.snapshotDiff.appendChild(
+      createElement('p', { className: 'text-muted' }, 'Same tracks, same order')
+    );
+    return;
+  }
+
+  const sections = [
+    ['Added', added.map(a => createDiffItem('added', a.track, `#${a.position}`))],
+    ['Removed', removed.map(r => createDiffItem('removed', r.track, `was #${r.position}`))],
+    ['Moved', moved.map(m => createDiffItem('moved', m.track, `#${m.from} → #${m.to}`))],
+  ];
+
+  sections.forEach(([title, items]) => {
+    if (items.length === 0) return;
+    elements.snapshotDiff.appendChild(createElement('h4', {}, `${title} (${items.length})`));
+    items.forEach(item => elements.snapshotDiff.appendChild(item));
+  });
+}
+
+// Parse artist/track links from the watchlist input
+function parseWatchlist(text) {
+  const artistIds = [];
+  const trackIds = [];
+
+  text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line)
+    .forEach(line => {
+      const artistId = SpotifyAPI.extractEntityId(line, 'artist');
+      const trackId = SpotifyAPI.extractEntityId(line, 'track');
+      if (artistId) artistIds.push(artistId);
+      if (trackId) trackIds.push(trackId);
+    });
+
+  return { artistIds, trackIds };
+}
+
+// Update watchlist count
+function updateWatchlistCount() {
+  const { artistIds, trackIds } = parseWatchlist(elements.watchlistInput.value);
+  setText(elements.watchlistCount, `${artistIds.length} artists · ${trackIds.length} tracks`);
+}
+
+// Save watchlist
+async function handleSaveWatchlist() {
+  await Storage.setPlacementWatchlist(parseWatchlist(elements.watchlistInput.value));
+  await loadPlacementMonitor();
+
+  // Check placements now rather than waiting for the next alarm
+  browserAPI.runtime.sendMessage({ type: 'SYNC_NOW' }).then(loadPlacementMonitor, () => {});
+
+  setText(elements.saveWatchlistBtn, 'Saved ✓');
+  setTimeout(() => setText(elements.saveWatchlistBtn, 'Save'), 2000);
+}
+
+// Load watchlist and current placements using safe DOM methods
+async function loadPlacementMonitor() {
+  const watchlist = await Storage.getPlacementWatchlist();
+  elements.watchlistInput.value = [
+    ...watchlist.artistIds.map(id => `https://open.spotify.com/artist/${id}`),
+    ...watchlist.trackIds.map(id => `https://open.spotify.com/track/${id}`),
   ].join('\n');
+  updateWatchlistCount();
+
+  const tracked = await Storage.getTrackedPlaylists();
+  clearChildren(elements.placementList);
 
-  // Download
-  const blob = new Blob([csv], { type: 'text/csv' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `spot-checker-export-${Date.now()}.csv`;
-  a.click();
-  URL.revokeObjectURL(url);
+  tracked.forEach(p => {
+    Object.values(p.placements || {})
+      .sort((a, b) => (a.position || Infinity) - (b.position || Infinity))
+      .forEach(placement => {
+        const status = placement.removedAt
+          ? `Removed ${formatDate(new Date(placement.removedAt)).toLowerCase()}`
+          : `#${placement.position}`;
+        elements.placementList.appendChild(createPlacementItem(placement, p.name, status));
+      });
+  });
+}
+
+// Export: choose format and columns, remembered between exports
+async function showExportModal(results, extraColumns = []) {
+  exportTarget = { results, extraColumns };
+  const prefs = await Storage.getExportPreferences();
+
+  clearChildren(elements.exportFormat);
+  Object.entries(EXPORT_FORMATS).forEach(([id, format]) => {
+    elements.exportFormat.appendChild(createElement('option', { value: id }, format.label));
+  });
+  elements.exportFormat.value = prefs.format;
+
+  // Built-in columns, then any spreadsheet columns from a bulk upload
+  clearChildren(elements.exportColumns);
+  const columns = [
+    ...EXPORT_COLUMNS.map(c => ({
+      id: c.id,
+      label: c.label,
+      checked: prefs.columns.includes(c.id),
+    })),
+    ...extraColumns.map(name => ({
+      id: `extra:${name}`,
+      label: name,
+      checked: true,
+    })),
+  ];
+  columns.forEach(column => {
+    const input = createElement('input', {
+      type: 'checkbox',
+      value: column.id,
+    });
+    input.checked = column.checked;
+    elements.exportColumns.appendChild(
+      createElement('label', { className: 'export-column' }, [input, column.label])
+    );
+  });
+
+  elements.exportFactors.checked = prefs.includeFactors;
+  elements.exportModal.classList.remove('hidden');
+}
+
+async function handleExport() {
+  const checked = [...elements.exportColumns.querySelectorAll('input:checked')].map(i => i.value);
+  const options = {
+    format: elements.exportFormat.value,
+    columns: checked.filter(id => !id.startsWith('extra:')),
+    extraColumns: checked.filter(id => id.startsWith('extra:')).map(id => id.slice(6)),
+    includeFactors: elements.exportFactors.checked,
+  };
+
+  await Storage.setExportPreferences({
+    format: options.format,
+    columns: options.columns,
+    includeFactors: options.includeFactors,
+  });
+
+  if (!Exporter.download(exportTarget.results, options)) {
+    alert('Nothing to export yet.');
+    return;
+  }
+
+  closeModals();
+}
+
+// Client report: self-contained HTML with agency branding
+async function handleReport(results) {
+  const playlists = results.filter(r => r && !r.error);
+  if (playlists.length === 0) return;
+
+  const entries = await Promise.all(
+    playlists.map(async playlist => ({
+      playlist,
+      botData: playlist.botData,
+      history: await Storage.getPlaylistHistory(playlist.id),
+      curator: playlist.curatorData || null,
+    }))
+  );
+
+  await Report.download(entries, await Storage.getReportBranding());
+}
+
+// Store an agency logo as a data URL (kept small - it lives in local storage)
+async function handleLogoUpload(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  if (file.size > 256 * 1024) {
+    alert('Please choose a logo under 256 KB.');
+    e.target.value = '';
+    return;
+  }
+
+  const logo = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+  if (!Report.isValidLogo(logo)) {
+    alert('Logo must be a PNG, JPEG, GIF, WebP or SVG image.');
+    e.target.value = '';
+    return;
+  }
+
+  await Storage.updateReportBranding({ logo });
+  showLogoPreview(logo);
+  e.target.value = '';
+}
+
+function showLogoPreview(logo) {
+  const preview = document.getElementById('agencyLogoPreview');
+  preview.src = logo || '';
+  preview.classList.toggle('hidden', !logo);
+  document.getElementById('removeLogoBtn').classList.toggle('hidden', !logo);
 }
 
 // UI Helpers
@@ -621,17 +1190,18 @@ function showError(title, message = '') {
 }
 
 async function updateUsageUI() {
-  const tier = await Premium.getTier();
+  const { dailyChecks, used } = await Metering.getStatus();
 
-  if (tier !== 'free') {
+  if (dailyChecks === Infinity) {
     elements.usageCounter.classList.add('hidden');
     return;
   }
 
-  const usage = await Storage.getDailyUsage();
-  setText(elements.checksUsed, String(usage));
+  elements.usageCounter.classList.remove('hidden');
+  setText(elements.checksUsed, String(used));
+  setText(elements.checksLimit, String(dailyChecks));
 
-  const percent = (usage / 5) * 100;
+  const percent = dailyChecks > 0 ? Math.min(100, (used / dailyChecks) * 100) : 100;
   elements.usageFill.style.width = `${percent}%`;
   elements.usageFill.classList.toggle('warning', percent >= 60 && percent < 100);
   elements.usageFill.classList.toggle('danger', percent >= 100);
@@ -669,6 +1239,7 @@ function showSettingsModal() {
 function closeModals() {
   elements.upgradeModal.classList.add('hidden');
   elements.settingsModal.classList.add('hidden');
+  elements.exportModal.classList.add('hidden');
 }
 
 async function loadSettings() {
@@ -678,8 +1249,128 @@ async function loadSettings() {
   document.getElementById('autoCheck').checked = autoCheck;
   document.getElementById('showBadge').checked = showBadge;
 
+  const cacheTtl = document.getElementById('cacheTtl');
+  clearChildren(cacheTtl);
+  TTL_OPTIONS.forEach(minutes => {
+    const label = minutes === 0 ? 'Off' : minutes < 60 ? `${minutes} min` : `${minutes / 60} h`;
+    cacheTtl.appendChild(createElement('option', { value: String(minutes) }, label));
+  });
+  cacheTtl.value = String((await PlaylistCache.getTtl()) / 60000);
+
+  const syncInterval = document.getElementById('syncInterval');
+  clearChildren(syncInterval);
+  INTERVAL_OPTIONS.forEach(hours => {
+    const label = hours === 1 ? '1 hour' : hours === 24 ? 'day' : `${hours} hours`;
+    syncInterval.appendChild(createElement('option', { value: String(hours) }, label));
+  });
+  syncInterval.value = String(await SyncScheduler.getInterval());
+
+  await loadAlertRules();
+  await loadWebhooks();
+
+  document.getElementById('historyRetention').value = String(await Storage.getHistoryRetention());
+  await showStorageUsage();
+
+  const branding = await Storage.getReportBranding();
+  document.getElementById('agencyName').value = branding.agencyName;
+  showLogoPreview(branding.logo);
+
   const tier = await Premium.getTier();
-  setText(document.getElementById('accountPlan'), tier.charAt(0).toUpperCase() + tier.slice(1));
+  const entitlement = await Premium.getEntitlementStatus();
+  let plan = tier.charAt(0).toUpperCase() + tier.slice(1);
+  if (entitlement.state === ENTITLEMENT_STATES.GRACE) {
+    // Couldn't renew: paid features stay on until the offline grace window ends
+    plan += ` (offline until ${new Date(entitlement.graceUntil).toLocaleDateString()})`;
+  } else if (entitlement.state === ENTITLEMENT_STATES.EXPIRED) {
+    plan += ' (subscription could not be verified)';
+  }
+  setText(document.getElementById('accountPlan'), plan);
+
+  await loadAccount();
+}
+
+// Show the signed-in email, or the sign-in form
+async function loadAccount() {
+  const email = await Premium.getEmail();
+  setText(document.getElementById('accountEmail'), email || 'Not signed in');
+  document.getElementById('signInForm').classList.toggle('hidden', !!email);
+  document.getElementById('dangerZone').classList.toggle('hidden', !email);
+  if (email) return;
+
+  document.getElementById('signInBtn').classList.toggle('hidden', !Auth.canUseWebAuthFlow());
+
+  const pending = await Auth.getPendingSignIn();
+  if (pending) {
+    document.getElementById('signInEmail').value = pending.email;
+    showSignInStatus(`Check ${pending.email} for your sign-in link.`);
+    pollSignIn();
+  }
+}
+
+// Show a sign-in progress or error message
+function showSignInStatus(message) {
+  const status = document.getElementById('signInStatus');
+  setText(status, message || '');
+  status.classList.toggle('hidden', !message);
+}
+
+// Check for an opened magic link while the popup is open (the background script keeps checking after)
+function pollSignIn() {
+  clearInterval(signInPoll);
+  signInPoll = setInterval(async () => {
+    const response = await browserAPI.runtime.sendMessage({ type: 'CHECK_SIGN_IN' });
+    const state = response?.data?.state;
+    if (!response?.ok || state === SIGN_IN_STATES.PENDING) return;
+
+    clearInterval(signInPoll);
+    if (state === SIGN_IN_STATES.SIGNED_IN) {
+      location.reload();
+    } else if (state === SIGN_IN_STATES.EXPIRED) {
+      showSignInStatus('Your sign-in link expired. Send a new one.');
+    } else if (state === SIGN_IN_STATES.FAILED) {
+      showSignInStatus(
+        `${response.data.error || 'Could not sign in.'} Send a new link to try again.`
+      );
+    }
+  }, 3000);
+}
+
+// Sign in through the browser's auth window (run by the background script)
+async function handleSignIn() {
+  const button = document.getElementById('signInBtn');
+  button.disabled = true;
+  showSignInStatus('Finish signing in in the window that opened.');
+
+  const response = await browserAPI.runtime.sendMessage({ type: 'SIGN_IN' });
+  button.disabled = false;
+  if (response?.ok) {
+    location.reload();
+    return;
+  }
+  showSignInStatus(
+    response?.error?.code === 'AUTH_CANCELLED'
+      ? ''
+      : response?.error?.message || 'Could not sign in. Please try again.'
+  );
+}
+
+// Email a magic sign-in link
+async function handleSendMagicLink() {
+  const button = document.getElementById('sendMagicLinkBtn');
+  const email = document.getElementById('signInEmail').value;
+  button.disabled = true;
+
+  const response = await browserAPI.runtime.sendMessage({ type: 'REQUEST_MAGIC_LINK', email });
+  button.disabled = false;
+  if (!response?.ok) {
+    showSignInStatus(
+      response?.error?.message || 'Could not send a sign-in link. Please try again.'
+    );
+    return;
+  }
+
+  showSignInStatus(`Check ${response.data.email} for your sign-in link.`);
+  pollSignIn();
 }
 
 // Actions
@@ -689,6 +1380,327 @@ function openCheckout(plan) {
   browserAPI.tabs.create({ url: checkoutUrl });
 }
 
+// Render alert rule toggles (and thresholds) in settings
+async function loadAlertRules() {
+  const container = document.getElementById('alertRules');
+  clearChildren(container);
+
+  const rules = await Alerts.getRules();
+  ALERT_RULE_TYPES.forEach(type => {
+    const rule = rules.find(r => r.id === type.id);
+    const checkboxId = `alert-${type.id}`;
+
+    const controls = [
+      createElement('input', {
+        type: 'checkbox',
+        id: checkboxId,
+        onChange: e => Alerts.updateRule(type.id, { enabled: e.target.checked }),
+      }),
+    ];
+    controls[0].checked = rule.enabled;
+
+    if ('threshold' in type) {
+      controls.unshift(
+        createElement('input', {
+          type: 'number',
+          className: 'setting-number',
+          min: '1',
+          max: '100',
+          value: String(rule.threshold),
+          'aria-label': `${type.label} (${type.unit})`,
+          onChange: e => {
+            const threshold = Math.min(100, Math.max(1, Number(e.target.value) || type.threshold));
+            e.target.value = String(threshold);
+            Alerts.updateRule(type.id, { threshold });
+          },
+        }),
+        createElement('span', {}, type.unit)
+      );
+    }
+
+    container.appendChild(
+      createElement('div', { className: 'setting-row' }, [
+        createElement('label', { for: checkboxId }, type.label),
+        createElement('span', { className: 'setting-controls' }, controls),
+      ])
+    );
+  });
+}
+
+// Render webhook endpoints with their latest delivery (Pro)
+async function loadWebhooks() {
+  const isPro = await Premium.hasFeature('webhooks');
+  document.getElementById('webhookProNote').classList.toggle('hidden', isPro);
+  document.getElementById('webhookSettings').classList.toggle('hidden', !isPro);
+  if (!isPro) return;
+
+  const list = document.getElementById('webhookList');
+  clearChildren(list);
+
+  for (const endpoint of await Webhooks.getEndpoints()) {
+    const log = await Webhooks.getLog(endpoint.id);
+    const logList = createElement('div', { className: 'webhook-log hidden' });
+    const status = log[0]
+      ? createElement(
+          'span',
+          { className: `webhook-status ${log[0].ok ? 'ok' : 'failed'}` },
+          log[0].ok ? `${log[0].status}` : log[0].error
+        )
+      : createElement('span', { className: 'webhook-status' }, 'No deliveries');
+
+    const renderLog = entries => {
+      clearChildren(logList);
+      if (entries.length === 0) {
+        logList.appendChild(createElement('p', { className: 'text-muted' }, 'No deliveries yet'));
+      }
+      entries.forEach(entry => {
+        logList.appendChild(
+          createElement('div', { className: `webhook-log-entry ${entry.ok ? 'ok' : 'failed'}` }, [
+            createElement('span', {}, new Date(entry.at).toLocaleString()),
+            createElement('span', {}, entry.type),
+            createElement(
+              'span',
+              {},
+              entry.ok ? `${entry.status} · ${entry.duration} ms` : entry.error
+            ),
+          ])
+        );
+      });
+    };
+
+    list.appendChild(
+      createElement('div', { className: 'webhook-item' }, [
+        createElement('div', { className: 'webhook-item-row' }, [
+          createElement(
+            'span',
+            { className: 'webhook-url', title: endpoint.url },
+            truncate(endpoint.url, 40)
+          ),
+          status,
+        ]),
+        createElement('div', { className: 'webhook-item-row' }, [
+          createElement(
+            'span',
+            { className: 'text-muted' },
+            `${WEBHOOK_FORMATS[endpoint.format || 'json'].label} · ${endpoint.secret ? 'Signed' : 'Unsigned'}`
+          ),
+          createElement('span', { className: 'webhook-actions' }, [
+            createElement(
+              'button',
+              {
+                className: 'btn-link',
+                onClick: async () => {
+                  await browserAPI.runtime.sendMessage({
+                    type: 'SEND_TEST_WEBHOOK',
+                    endpointId: endpoint.id,
+                  });
+                  await loadWebhooks();
+                },
+              },
+              'Send test'
+            ),
+            createElement(
+              'button',
+              {
+                className: 'btn-link',
+                onClick: () => {
+                  renderLog(log);
+                  logList.classList.toggle('hidden');
+                },
+              },
+              'Log'
+            ),
+            createElement(
+              'button',
+              {
+                className: 'btn-link',
+                onClick: async () => {
+                  await browserAPI.runtime.sendMessage({
+                    type: 'REMOVE_WEBHOOK',
+                    endpointId: endpoint.id,
+                  });
+                  await loadWebhooks();
+                },
+              },
+              'Remove'
+            ),
+          ]),
+        ]),
+        logList,
+      ])
+    );
+  }
+}
+
+// Register a webhook endpoint, asking for access to its host first
+async function handleAddWebhook() {
+  const urlInput = document.getElementById('webhookUrl');
+  const secretInput = document.getElementById('webhookSecret');
+  const formatSelect = document.getElementById('webhookFormat');
+  const url = urlInput.value.trim();
+
+  if (!Webhooks.isValidUrl(url)) {
+    alert('Enter an https:// webhook URL.');
+    return;
+  }
+
+  // Must run straight from the click so the browser shows the prompt
+  const granted = await browserAPI.permissions
+    .request({ origins: [Webhooks.getOriginPattern(url)] })
+    .catch(() => false);
+  if (!granted) {
+    alert('Spot Checker needs permission to send requests to this site.');
+    return;
+  }
+
+  const response = await browserAPI.runtime.sendMessage({
+    type: 'ADD_WEBHOOK',
+    url,
+    secret: secretInput.value,
+    format: formatSelect.value,
+  });
+  if (!response?.ok) {
+    alert(response?.error?.message || 'Could not add the webhook. Please try again.');
+    return;
+  }
+
+  urlInput.value = '';
+  secretInput.value = '';
+  formatSelect.value = 'auto';
+  await loadWebhooks();
+}
+
+// Render API usage, keys and request log (Pro)
+async function loadApiSettings() {
+  const isPro = await Premium.hasFeature('api');
+  document.getElementById('apiProNote').classList.toggle('hidden', isPro);
+  document.getElementById('apiSettings').classList.toggle('hidden', !isPro);
+  if (!isPro) return;
+
+  const usage = await ApiKeys.getUsage();
+  const percent = usage.limit > 0 ? Math.min(100, (usage.used / usage.limit) * 100) : 0;
+  setText(document.getElementById('apiUsage'), `${usage.used}/${usage.limit} requests today`);
+  const fill = document.getElementById('apiUsageFill');
+  fill.style.width = `${percent}%`;
+  fill.classList.toggle('warning', percent >= 80 && percent < 100);
+  fill.classList.toggle('danger', percent >= 100);
+
+  const list = document.getElementById('apiKeyList');
+  clearChildren(list);
+  const keys = await ApiKeys.list();
+  if (keys.length === 0) {
+    list.appendChild(createElement('p', { className: 'text-muted' }, 'No API keys yet'));
+  }
+
+  keys.forEach(record => {
+    const keyText = createElement('span', { className: 'api-key' }, ApiKeys.mask(record.key));
+    let revealed = false;
+
+    list.appendChild(
+      createElement('div', { className: 'webhook-item' }, [
+        createElement('div', { className: 'webhook-item-row' }, [
+          createElement('span', {}, record.name),
+          createElement(
+            'span',
+            { className: 'webhook-status' },
+            record.lastUsedAt
+              ? `Used ${new Date(record.lastUsedAt).toLocaleString()}`
+              : 'Never used'
+          ),
+        ]),
+        createElement('div', { className: 'webhook-item-row' }, [
+          keyText,
+          createElement('span', { className: 'webhook-actions' }, [
+            createElement(
+              'button',
+              {
+                className: 'btn-link',
+                onClick: e => {
+                  revealed = !revealed;
+                  setText(keyText, revealed ? record.key : ApiKeys.mask(record.key));
+                  setText(e.target, revealed ? 'Hide' : 'Reveal');
+                },
+              },
+              'Reveal'
+            ),
+            createElement(
+              'button',
+              {
+                className: 'btn-link',
+                onClick: async () => {
+                  if (!confirm(`Revoke "${record.name}"? Requests using it will be rejected.`)) {
+                    return;
+                  }
+                  await browserAPI.runtime.sendMessage({
+                    type: 'REVOKE_API_KEY',
+                    keyId: record.id,
+                  });
+                  await loadApiSettings();
+                },
+              },
+              'Revoke'
+            ),
+          ]),
+        ]),
+      ])
+    );
+  });
+
+  const log = document.getElementById('apiLog');
+  clearChildren(log);
+  const entries = await ApiKeys.getLog();
+  if (entries.length === 0) {
+    log.appendChild(createElement('p', { className: 'text-muted' }, 'No requests yet'));
+  }
+  entries.forEach(entry => {
+    log.appendChild(
+      createElement('div', { className: `webhook-log-entry ${entry.ok ? 'ok' : 'failed'}` }, [
+        createElement('span', {}, new Date(entry.at).toLocaleString()),
+        createElement('span', {}, `${entry.endpoint} · ${entry.keyName || 'Unknown key'}`),
+        createElement('span', {}, String(entry.status)),
+      ])
+    );
+  });
+}
+
+// Generate an API key from the settings form (the background script writes the key list)
+async function handleCreateApiKey() {
+  const nameInput = document.getElementById('apiKeyName');
+
+  const response = await browserAPI.runtime.sendMessage({
+    type: 'CREATE_API_KEY',
+    name: nameInput.value,
+  });
+  if (!response?.ok) {
+    alert(response?.error?.message || 'Could not create an API key. Please try again.');
+    return;
+  }
+
+  nameInput.value = '';
+  await loadApiSettings();
+}
+
+// Show how much of the storage quota the extension is using
+async function showStorageUsage() {
+  const { database, local, nearQuota } = await Storage.getUsage();
+  const el = document.getElementById('storageUsage');
+  if (!database && !local) {
+    setText(el, 'Unavailable');
+    return;
+  }
+
+  // History and snapshots (IndexedDB) and settings (storage.local) have separate quotas
+  const describe = (usage, label) =>
+    `${formatBytes(usage.usage)} ${label} (${Math.round((usage.usage / usage.quota) * 100)}%)`;
+  setText(
+    el,
+    [database && describe(database, 'history'), local && describe(local, 'settings')]
+      .filter(Boolean)
+      .join(' · ')
+  );
+  el.classList.toggle('warning', nearQuota);
+}
+
 async function handleClearData() {
   if (confirm('Clear all local data? This cannot be undone.')) {
     await Storage.clear();
@@ -704,7 +1716,10 @@ async function handleSignOut() {
 // Check if current tab is Spotify
 async function checkActiveTab() {
   try {
-    const tabs = await browserAPI.tabs.query({ active: true, currentWindow: true });
+    const tabs = await browserAPI.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
     const tab = tabs[0];
     if (tab?.url?.includes('open.spotify.com/playlist/')) {
       const playlistId = SpotifyAPI.extractPlaylistId(tab.url);
@@ -732,10 +1747,11 @@ function formatDate(date) {
   return `${Math.floor(days / 365)} years ago`;
 }
 
-function parseSnapshotDate(snapshotId) {
-  // Spotify snapshot_id format: base62 encoded, not reliable for dates
-  // Return null - we'll use other methods to estimate
-  return null;
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
 }
 
 function calculateTrend(history) {
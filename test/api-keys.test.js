@@ -0,0 +1,157 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { signToken, getStored, resetEnvironment } from './helpers/extension.js';
+import { ApiKeys } from '../lib/api-keys.js';
+import { Premium, TIERS } from '../lib/premium.js';
+import { Storage } from '../lib/storage.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Put this install on a plan (signed entitlement)
+ */
+async function subscribe(tier, limits = {}) {
+  await Premium.saveEntitlement(
+    await signToken({
+      type: 'entitlement',
+      installId: await Storage.getInstallId(),
+      tier,
+      limits,
+      issuedAt: Date.now(),
+      expiresAt: Date.now() + DAY,
+    })
+  );
+}
+
+beforeEach(async () => {
+  await resetEnvironment();
+  await subscribe(TIERS.PRO, { api: true, apiDailyLimit: 3 });
+});
+
+test('keys are a Pro feature', async () => {
+  await subscribe(TIERS.PREMIUM, { api: false });
+
+  await assert.rejects(ApiKeys.create('Dashboard'), /part of Pro/);
+  assert.deepEqual(await ApiKeys.list(), []);
+});
+
+test('created keys are stored and masked for display', async () => {
+  const record = await ApiKeys.create('  Dashboard ');
+  const second = await ApiKeys.create();
+
+  assert.equal(record.name, 'Dashboard');
+  assert.equal(second.name, 'Key 2');
+  assert.match(record.key, /^sc_live_[0-9a-f]{48}$/);
+  assert.notEqual(record.key, second.key);
+  assert.equal(ApiKeys.mask(record.key), `sc_live_••••••••${record.key.slice(-4)}`);
+  assert.equal((await ApiKeys.list()).length, 2);
+});
+
+test('requests with a valid key are counted and logged', async () => {
+  const { id, key } = await ApiKeys.create('Dashboard');
+
+  const result = await ApiKeys.meter(key, 'checkPlaylist');
+
+  assert.deepEqual(result, { keyId: id, remaining: 2 });
+  assert.equal(await Storage.getApiDailyUsage(), 1);
+  assert.ok((await ApiKeys.list())[0].lastUsedAt);
+
+  const [entry] = await ApiKeys.getLog();
+  assert.equal(entry.keyName, 'Dashboard');
+  assert.equal(entry.endpoint, 'checkPlaylist');
+  assert.equal(entry.status, 200);
+});
+
+test('unknown and revoked keys are rejected without being counted', async () => {
+  const { id, key } = await ApiKeys.create('Dashboard');
+  await ApiKeys.revoke(id);
+
+  await assert.rejects(ApiKeys.meter(key, 'checkPlaylist'), { status: 401 });
+  await assert.rejects(ApiKeys.meter('sc_live_guess', 'checkPlaylist'), { status: 401 });
+  await assert.rejects(ApiKeys.meter(undefined, 'checkPlaylist'), { status: 401 });
+
+  assert.equal(await Storage.getApiDailyUsage(), 0);
+  assert.deepEqual(
+    (await ApiKeys.getLog()).map(e => [e.ok, e.status]),
+    [
+      [false, 401],
+      [false, 401],
+      [false, 401],
+    ]
+  );
+});
+
+test('keys stop working when the plan no longer includes the API', async () => {
+  const { key } = await ApiKeys.create('Dashboard');
+  await subscribe(TIERS.PREMIUM, { api: false });
+
+  await assert.rejects(ApiKeys.meter(key, 'checkPlaylist'), { status: 403 });
+  assert.equal(await Storage.getApiDailyUsage(), 0);
+});
+
+test('requests past the daily limit are rejected', async () => {
+  const { key } = await ApiKeys.create('Dashboard');
+  for (let i = 0; i < 3; i++) {
+    await ApiKeys.meter(key, 'checkPlaylist');
+  }
+
+  await assert.rejects(ApiKeys.meter(key, 'checkPlaylist'), { status: 429 });
+  assert.deepEqual(await ApiKeys.getUsage(), { used: 3, limit: 3, remaining: 0 });
+});
+
+test('concurrent requests are all counted and never pass the limit', async () => {
+  const { key } = await ApiKeys.create('Dashboard');
+
+  const results = await Promise.allSettled(
+    Array.from({ length: 5 }, () => ApiKeys.meter(key, 'checkPlaylist'))
+  );
+
+  assert.equal(results.filter(r => r.status === 'fulfilled').length, 3);
+  assert.equal(await Storage.getApiDailyUsage(), 3);
+  assert.equal((await ApiKeys.getLog()).length, 5);
+});
+
+test('requests that fail their check are logged but not counted', async () => {
+  const { key } = await ApiKeys.create('Dashboard');
+  let checked = 0;
+
+  await assert.rejects(
+    ApiKeys.meter(key, 'checkPlaylist', async () => {
+      checked++;
+      throw new Error('playlistUrl is required');
+    }),
+    { status: 400, message: 'playlistUrl is required' }
+  );
+  await assert.rejects(
+    ApiKeys.meter('sc_live_guess', 'checkPlaylist', async () => {
+      checked++;
+    }),
+    { status: 401 }
+  );
+
+  assert.equal(checked, 1);
+  assert.equal(await Storage.getApiDailyUsage(), 0);
+  assert.equal((await ApiKeys.getLog())[1].status, 400);
+});
+
+test('refunded requests are given back', async () => {
+  const { key } = await ApiKeys.create('Dashboard');
+  await ApiKeys.meter(key, 'checkPlaylist');
+
+  await ApiKeys.refund();
+
+  assert.equal(await Storage.getApiDailyUsage(), 0);
+});
+
+test('the log keeps the newest 100 requests and can be cleared', async () => {
+  for (let i = 0; i < 105; i++) {
+    await ApiKeys.meter('sc_live_guess', `call-${i}`).catch(() => {});
+  }
+
+  const log = await ApiKeys.getLog();
+  assert.equal(log.length, 100);
+  assert.equal(log[0].endpoint, 'call-104');
+
+  await ApiKeys.clearLog();
+  assert.deepEqual(getStored('apiLog'), []);
+});
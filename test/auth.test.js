@@ -0,0 +1,213 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  signToken,
+  setFetch,
+  getRequests,
+  getStored,
+  resetEnvironment,
+} from './helpers/extension.js';
+import { Auth, SIGN_IN_STATES } from '../lib/auth.js';
+import { Premium, TIERS } from '../lib/premium.js';
+import { Storage } from '../lib/storage.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Backend stand-in: magic link status and code exchange replies by URL
+ */
+function backend({ status = () => ({ body: { status: 'pending' } }), exchange } = {}) {
+  setFetch(async (url, body) => {
+    if (url.endsWith('/magic-link')) return { body: { requestId: 'req-1' } };
+    if (url.endsWith('/magic-link/status')) return status(body);
+    if (url.endsWith('/auth/exchange')) return exchange(body);
+    if (url.endsWith('/api/sync')) return { body: {} };
+    throw new TypeError('Failed to fetch');
+  });
+}
+
+/**
+ * Exchange reply signing in artist@example.com on Pro
+ */
+async function account() {
+  return {
+    body: {
+      email: 'artist@example.com',
+      subscriptionId: 'sub-1',
+      session: 'session-1',
+      entitlement: await signToken({
+        type: 'entitlement',
+        installId: await Storage.getInstallId(),
+        tier: TIERS.PRO,
+        limits: { dailyChecks: null, api: true, apiDailyLimit: 100 },
+        issuedAt: Date.now(),
+        expiresAt: Date.now() + DAY,
+      }),
+    },
+  };
+}
+
+beforeEach(async () => {
+  await resetEnvironment();
+  delete chrome.identity;
+});
+
+test('magic links need a valid email', async () => {
+  await assert.rejects(Auth.requestMagicLink('not an email'), { code: 'AUTH_INVALID_EMAIL' });
+  assert.equal(getRequests().length, 0);
+});
+
+test('requesting a magic link leaves a sign-in pending', async () => {
+  backend();
+
+  const { email } = await Auth.requestMagicLink('  Artist@Example.com ');
+
+  assert.equal(email, 'artist@example.com');
+  assert.deepEqual(await Auth.getPendingSignIn(), {
+    email: 'artist@example.com',
+    expiresAt: getStored('pendingSignIn').expiresAt,
+  });
+  assert.equal((await Auth.checkMagicLink()).state, SIGN_IN_STATES.PENDING);
+});
+
+test('an opened magic link signs the account in', async () => {
+  backend({
+    status: () => ({ body: { status: 'verified', code: 'code-1' } }),
+    exchange: account,
+  });
+  await Auth.requestMagicLink('artist@example.com');
+
+  const result = await Auth.checkMagicLink();
+
+  assert.deepEqual(result, { state: SIGN_IN_STATES.SIGNED_IN, email: 'artist@example.com' });
+  assert.equal(getRequests('/auth/exchange')[0].body.code, 'code-1');
+  assert.equal(await Storage.getAuthSession(), 'session-1');
+  assert.equal(await Premium.getEmail(), 'artist@example.com');
+  assert.equal(await Premium.getTier(), TIERS.PRO);
+  assert.equal(await Auth.getPendingSignIn(), null);
+});
+
+test('concurrent checks exchange the code once', async () => {
+  backend({
+    status: () => ({ body: { status: 'verified', code: 'code-1' } }),
+    exchange: account,
+  });
+  await Auth.requestMagicLink('artist@example.com');
+
+  const results = await Promise.all([Auth.checkMagicLink(), Auth.checkMagicLink()]);
+
+  assert.equal(results[0], results[1]);
+  assert.equal(getRequests('/auth/exchange').length, 1);
+});
+
+test('a failed exchange keeps the code for the next check', async () => {
+  let online = false;
+  backend({
+    status: () => ({ body: { status: 'verified', code: 'code-1' } }),
+    exchange: () => (online ? account() : { status: 503, body: { error: 'Try again later' } }),
+  });
+  await Auth.requestMagicLink('artist@example.com');
+
+  await assert.rejects(Auth.checkMagicLink(), { status: 503 });
+  assert.equal(getStored('pendingSignIn').code, 'code-1');
+
+  online = true;
+  const result = await Auth.checkMagicLink();
+
+  assert.equal(result.state, SIGN_IN_STATES.SIGNED_IN);
+  assert.equal(getRequests('/magic-link/status').length, 1);
+  assert.deepEqual(
+    getRequests('/auth/exchange').map(r => r.body.code),
+    ['code-1', 'code-1']
+  );
+});
+
+test('a rejected code ends the sign-in', async () => {
+  backend({
+    status: () => ({ body: { status: 'verified', code: 'code-1' } }),
+    exchange: () => ({ status: 401, body: { error: 'Link already used' } }),
+  });
+  await Auth.requestMagicLink('artist@example.com');
+
+  const result = await Auth.checkMagicLink();
+
+  assert.deepEqual(result, {
+    state: SIGN_IN_STATES.FAILED,
+    email: 'artist@example.com',
+    error: 'Link already used',
+  });
+  assert.equal(getStored('pendingSignIn'), undefined);
+  assert.equal(await Premium.isSignedIn(), false);
+});
+
+test('expired links stop the check', async () => {
+  backend({ status: () => ({ body: { status: 'expired' } }) });
+  await Auth.requestMagicLink('artist@example.com');
+
+  assert.equal((await Auth.checkMagicLink()).state, SIGN_IN_STATES.EXPIRED);
+  assert.equal((await Auth.checkMagicLink()).state, SIGN_IN_STATES.NONE);
+
+  await Storage.setPendingSignIn({
+    requestId: 'req-2',
+    email: 'artist@example.com',
+    expiresAt: Date.now() - 1000,
+  });
+  assert.equal((await Auth.checkMagicLink()).state, SIGN_IN_STATES.EXPIRED);
+  assert.equal(getRequests('/magic-link/status').length, 1);
+});
+
+test('an incomplete exchange reply does not sign in', async () => {
+  backend({
+    status: () => ({ body: { status: 'verified', code: 'code-1' } }),
+    exchange: () => ({ body: { email: 'artist@example.com' } }),
+  });
+  await Auth.requestMagicLink('artist@example.com');
+
+  await assert.rejects(Auth.checkMagicLink(), { status: 502, code: 'AUTH_FAILED' });
+  assert.equal(await Premium.isSignedIn(), false);
+});
+
+test('the web auth flow is unavailable without browser support', async () => {
+  assert.equal(Auth.canUseWebAuthFlow(), false);
+  await assert.rejects(Auth.signInWithWebAuthFlow(), { code: 'AUTH_UNSUPPORTED' });
+});
+
+test('the web auth flow exchanges the returned code', async () => {
+  backend({ exchange: account });
+  chrome.identity = {
+    getRedirectURL: path => `https://test-extension.chromiumapp.org/${path}`,
+    async launchWebAuthFlow({ url }) {
+      const state = new URL(url).searchParams.get('state');
+      return `https://test-extension.chromiumapp.org/auth#code=code-2&state=${state}`;
+    },
+  };
+
+  assert.deepEqual(await Auth.signInWithWebAuthFlow(), { email: 'artist@example.com' });
+
+  const [request] = getRequests('/auth/exchange');
+  assert.equal(request.body.code, 'code-2');
+  assert.equal(request.body.redirectUri, 'https://test-extension.chromiumapp.org/auth');
+});
+
+test('the web auth flow rejects a reply for another request', async () => {
+  backend({ exchange: account });
+  chrome.identity = {
+    getRedirectURL: path => `https://test-extension.chromiumapp.org/${path}`,
+    launchWebAuthFlow: async () =>
+      'https://test-extension.chromiumapp.org/auth#code=code-2&state=x',
+  };
+
+  await assert.rejects(Auth.signInWithWebAuthFlow(), { code: 'AUTH_FAILED' });
+  assert.equal(getRequests('/auth/exchange').length, 0);
+});
+
+test('closing the auth window cancels the sign-in', async () => {
+  chrome.identity = {
+    getRedirectURL: path => `https://test-extension.chromiumapp.org/${path}`,
+    launchWebAuthFlow: async () => {
+      throw new Error('The user did not approve access.');
+    },
+  };
+
+  await assert.rejects(Auth.signInWithWebAuthFlow(), { status: 401, code: 'AUTH_CANCELLED' });
+});
@@ -0,0 +1,165 @@
+/**
+ * Test Extension Environment
+ * Stands in for the browser APIs the lib/ modules use: chrome.storage.local
+ * (in memory, with onChanged events), chrome.runtime and fetch. Tokens are
+ * signed with a key generated for the test run, which the signing module is
+ * handed in place of the backend's public key
+ */
+
+import { webcrypto } from 'node:crypto';
+
+// Node 18 only has Web Crypto as a module export
+globalThis.crypto ??= webcrypto;
+
+// Values in the mock chrome.storage.local
+const store = {};
+
+// storage.onChanged listeners
+const changeListeners = [];
+
+// Requests made through the mock fetch
+const requests = [];
+
+// Replies to fetch: function(url, body) returning { status, body }, or throwing for a network error
+let respond = () => {
+  throw new TypeError('Failed to fetch');
+};
+
+globalThis.chrome = {
+  storage: {
+    local: {
+      async get(keys) {
+        const names = keys === null ? Object.keys(store) : [].concat(keys);
+        return Object.fromEntries(names.filter(k => k in store).map(k => [k, clone(store[k])]));
+      },
+      async set(items) {
+        const changes = {};
+        for (const [key, value] of Object.entries(items)) {
+          changes[key] = { oldValue: store[key], newValue: clone(value) };
+          store[key] = clone(value);
+        }
+        notify(changes);
+      },
+      async remove(keys) {
+        const changes = {};
+        for (const key of [].concat(keys)) {
+          if (!(key in store)) continue;
+          changes[key] = { oldValue: store[key] };
+          delete store[key];
+        }
+        notify(changes);
+      },
+      async clear() {
+        await this.remove(Object.keys(store));
+      },
+    },
+    onChanged: {
+      addListener(listener) {
+        changeListeners.push(listener);
+      },
+    },
+  },
+  runtime: {
+    id: 'test-extension',
+    getURL: path => `chrome-extension://test-extension/${path}`,
+    onMessage: { addListener() {} },
+  },
+};
+
+globalThis.fetch = async (url, options = {}) => {
+  const body = options.body ? JSON.parse(options.body) : null;
+  requests.push({ url, headers: options.headers || {}, body });
+
+  const reply = await respond(url, body);
+  const status = reply?.status ?? 200;
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => clone(reply?.body ?? {}),
+  };
+};
+
+// Key pair standing in for the backend's signing key
+const keyPair = crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, [
+  'sign',
+  'verify',
+]);
+
+// The signing module imports its public key once per context; give it the test key's
+const importKey = crypto.subtle.importKey.bind(crypto.subtle);
+crypto.subtle.importKey = async (format, keyData, algorithm, extractable, usages) => {
+  if (format === 'jwk' && algorithm?.name === 'ECDSA' && usages.includes('verify')) {
+    return (await keyPair).publicKey;
+  }
+  return importKey(format, keyData, algorithm, extractable, usages);
+};
+
+/**
+ * Sign a payload the way the backend does
+ * @param {Object} payload
+ * @returns {Promise<string>} - Token for Signing.verify
+ */
+export async function signToken(payload) {
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = await crypto.subtle.sign(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    (await keyPair).privateKey,
+    new TextEncoder().encode(encodedPayload)
+  );
+  return `${encodedPayload}.${Buffer.from(signature).toString('base64url')}`;
+}
+
+/**
+ * Set how the mock fetch replies
+ * @param {function(string, Object): ({status: number, body: Object}|Promise<Object>)} handler
+ */
+export function setFetch(handler) {
+  respond = handler;
+}
+
+/**
+ * Requests made since the last reset, optionally only those to one URL
+ * @param {string} url - Optional substring of the request URL
+ * @returns {Array<{url: string, headers: Object, body: Object}>}
+ */
+export function getRequests(url = null) {
+  return requests.filter(r => !url || r.url.includes(url));
+}
+
+/**
+ * Current value of a storage key (as the extension would read it)
+ * @param {string} key
+ * @returns {*}
+ */
+export function getStored(key) {
+  return clone(store[key]);
+}
+
+/**
+ * Empty storage, forget requests and take the network offline
+ * @returns {Promise<void>}
+ */
+export async function resetEnvironment() {
+  await chrome.storage.local.clear();
+  requests.length = 0;
+  setFetch(() => {
+    throw new TypeError('Failed to fetch');
+  });
+}
+
+/**
+ * Run storage.onChanged listeners
+ */
+function notify(changes) {
+  if (Object.keys(changes).length === 0) return;
+  for (const listener of changeListeners) {
+    listener(clone(changes), 'local');
+  }
+}
+
+/**
+ * Copy a value the way storage serialises it
+ */
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
@@ -0,0 +1,188 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  signToken,
+  setFetch,
+  getRequests,
+  getStored,
+  resetEnvironment,
+} from './helpers/extension.js';
+import { Metering } from '../lib/metering.js';
+import { Premium, TIERS } from '../lib/premium.js';
+import { Storage } from '../lib/storage.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Today as the backend's quota day (YYYY-MM-DD, local time)
+ */
+function today(offsetDays = 0) {
+  const date = new Date(Date.now() + offsetDays * DAY);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Signed usage quota for this install
+ */
+async function quotaToken(overrides = {}) {
+  return signToken({
+    type: 'usage-quota',
+    installId: await Storage.getInstallId(),
+    tier: TIERS.FREE,
+    dailyChecks: 20,
+    bulkLimit: 0,
+    used: 0,
+    day: today(),
+    issuedAt: Date.now(),
+    expiresAt: Date.now() + 60 * 60 * 1000,
+    ...overrides,
+  });
+}
+
+beforeEach(resetEnvironment);
+
+test('free installs get the free daily checks', async () => {
+  for (let i = 0; i < 5; i++) {
+    await Metering.meterCheck(async () => 'playlist');
+  }
+
+  let ran = false;
+  await assert.rejects(
+    Metering.meterCheck(async () => {
+      ran = true;
+    }),
+    { status: 429, code: 'DAILY_LIMIT' }
+  );
+  assert.equal(ran, false);
+  assert.equal(await Storage.getDailyUsage(), 5);
+});
+
+test('concurrent checks cannot go over the limit', async () => {
+  const results = await Promise.allSettled(
+    Array.from({ length: 8 }, () => Metering.meterCheck(async () => 'playlist'))
+  );
+
+  assert.equal(results.filter(r => r.status === 'fulfilled').length, 5);
+  assert.equal(await Storage.getDailyUsage(), 5);
+});
+
+test('failed lookups are refunded', async () => {
+  await assert.rejects(
+    Metering.meterCheck(async () => {
+      throw new Error('Spotify is down');
+    }),
+    /Spotify is down/
+  );
+
+  assert.equal(await Storage.getDailyUsage(), 0);
+});
+
+test('a lookup that finishes after its caller gave up is refunded', async () => {
+  const controller = new AbortController();
+  const reason = new Error('timed out');
+
+  await assert.rejects(
+    Metering.meterCheck(
+      async () => {
+        controller.abort(reason);
+        return 'playlist';
+      },
+      { signal: controller.signal }
+    ),
+    reason
+  );
+  assert.equal(await Storage.getDailyUsage(), 0);
+});
+
+test('bulk checks need a plan', async () => {
+  await assert.rejects(Metering.consume('bulk', 10), { status: 403, code: 'BULK_NOT_AVAILABLE' });
+});
+
+test('unlimited plans are not counted', async () => {
+  await Premium.saveEntitlement(
+    await signToken({
+      type: 'entitlement',
+      installId: await Storage.getInstallId(),
+      tier: TIERS.PREMIUM,
+      limits: { dailyChecks: null, bulkLimit: 50 },
+      issuedAt: Date.now(),
+      expiresAt: Date.now() + DAY,
+    })
+  );
+
+  for (let i = 0; i < 10; i++) {
+    await Metering.meterCheck(async () => 'playlist');
+  }
+
+  assert.equal(await Storage.getDailyUsage(), 0);
+  await assert.rejects(Metering.consume('bulk', 51), { status: 403, code: 'BULK_LIMIT' });
+});
+
+test("the backend's signed quota overrides the tier's limits", async () => {
+  await Storage.setUsageQuota(await quotaToken({ dailyChecks: 20, used: 7 }));
+
+  const status = await Metering.getStatus();
+
+  assert.equal(status.signed, true);
+  assert.equal(status.dailyChecks, 20);
+  assert.equal(status.used, 7);
+  assert.equal(status.remaining, 13);
+});
+
+test("a quota from another day sets limits but not today's usage", async () => {
+  await Storage.setUsageQuota(await quotaToken({ used: 15, day: today(-1) }));
+
+  const status = await Metering.getStatus();
+
+  assert.equal(status.dailyChecks, 20);
+  assert.equal(status.used, 0);
+});
+
+test('quotas that fail verification are ignored', async () => {
+  const forged = Buffer.from(
+    JSON.stringify({ type: 'usage-quota', dailyChecks: null, expiresAt: Date.now() + DAY })
+  ).toString('base64url');
+  const [, signature] = (await quotaToken()).split('.');
+
+  for (const token of [
+    `${forged}.${signature}`,
+    await quotaToken({ installId: 'other', dailyChecks: null }),
+    await quotaToken({ expiresAt: Date.now() - 1000, dailyChecks: null }),
+    await quotaToken({ type: 'entitlement', dailyChecks: null }),
+  ]) {
+    await Storage.setUsageQuota(token);
+    const status = await Metering.getStatus();
+    assert.equal(status.signed, false);
+    assert.equal(status.dailyChecks, 5);
+  }
+});
+
+test('reconcile reports confirmed checks and stores the quota', async () => {
+  const token = await quotaToken({ used: 9 });
+  setFetch(() => ({ body: { token } }));
+  await Storage.setDailyUsage(2);
+
+  const quota = await Metering.reconcile({ force: true });
+
+  assert.equal(quota.used, 9);
+  assert.equal(getStored('usageQuota'), token);
+  assert.equal(await Storage.getDailyUsage(), 9);
+
+  const [request] = getRequests('/api/usage');
+  assert.equal(request.body.checks, 2);
+  assert.equal(request.body.day, today());
+  assert.equal(request.body.installId, await Storage.getInstallId());
+});
+
+test('reconcile rejects a quota for another install', async () => {
+  setFetch(async () => ({ body: { token: await quotaToken({ installId: 'other' }) } }));
+
+  assert.equal(await Metering.reconcile({ force: true }), null);
+  assert.equal(getStored('usageQuota'), undefined);
+});
+
+test('reconcile leaves the local limits in place when offline', async () => {
+  assert.equal(await Metering.reconcile({ force: true }), null);
+  assert.equal((await Metering.getStatus()).dailyChecks, 5);
+});
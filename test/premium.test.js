@@ -0,0 +1,182 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  signToken,
+  setFetch,
+  getRequests,
+  getStored,
+  resetEnvironment,
+} from './helpers/extension.js';
+import { Premium, TIERS, ENTITLEMENT_STATES } from '../lib/premium.js';
+import { Storage } from '../lib/storage.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Signed entitlement for this install
+ */
+async function entitlementToken(overrides = {}) {
+  return signToken({
+    type: 'entitlement',
+    installId: await Storage.getInstallId(),
+    tier: TIERS.PRO,
+    limits: { dailyChecks: null, bulkLimit: 50, api: true, apiDailyLimit: 100, webhooks: true },
+    issuedAt: Date.now() - DAY,
+    expiresAt: Date.now() + DAY,
+    graceUntil: Date.now() + 8 * DAY,
+    ...overrides,
+  });
+}
+
+beforeEach(resetEnvironment);
+
+test('without an entitlement the tier is free', async () => {
+  const status = await Premium.getEntitlementStatus();
+
+  assert.equal(status.tier, TIERS.FREE);
+  assert.equal(status.state, ENTITLEMENT_STATES.NONE);
+  assert.equal((await Premium.getLimits()).dailyChecks, 5);
+});
+
+test('the plain tier copy in storage does not grant anything', async () => {
+  await Storage.set('userTier', TIERS.PRO);
+
+  assert.equal(await Premium.getTier(), TIERS.FREE);
+  assert.equal(await Premium.hasFeature('api'), false);
+});
+
+test('a signed entitlement sets the tier and limits', async () => {
+  assert.ok(await Premium.saveEntitlement(await entitlementToken()));
+
+  assert.equal(await Premium.getTier(), TIERS.PRO);
+  const limits = await Premium.getLimits();
+  assert.equal(limits.dailyChecks, Infinity);
+  assert.equal(limits.apiDailyLimit, 100);
+  assert.equal(await Premium.hasFeature('webhooks'), true);
+  assert.equal(getStored('userTier'), TIERS.PRO);
+});
+
+test('tokens that fail verification are not stored', async () => {
+  assert.equal(await Premium.saveEntitlement('not-a-token'), null);
+  assert.equal(await Premium.saveEntitlement(await entitlementToken({ installId: 'other' })), null);
+  assert.equal(
+    await Premium.saveEntitlement(await entitlementToken({ type: 'usage-quota' })),
+    null
+  );
+  assert.equal(await Premium.saveEntitlement(await entitlementToken({ tier: 'gold' })), null);
+  assert.equal(getStored('entitlement'), undefined);
+  assert.equal(await Premium.getTier(), TIERS.FREE);
+});
+
+test('a token edited in storage is rejected', async () => {
+  await Premium.saveEntitlement(await entitlementToken({ tier: TIERS.PREMIUM }));
+  const [, signature] = getStored('entitlement').split('.');
+  const payload = Buffer.from(JSON.stringify({ tier: TIERS.PRO })).toString('base64url');
+
+  await chrome.storage.local.set({ entitlement: `${payload}.${signature}` });
+
+  assert.equal(await Premium.getTier(), TIERS.FREE);
+});
+
+test('a token stored by another context replaces the cached one', async () => {
+  await Premium.saveEntitlement(await entitlementToken({ tier: TIERS.PREMIUM }));
+  assert.equal(await Premium.getTier(), TIERS.PREMIUM);
+
+  await chrome.storage.local.set({ entitlement: await entitlementToken() });
+
+  assert.equal(await Premium.getTier(), TIERS.PRO);
+});
+
+test('an expired token keeps its tier through the grace window while offline', async () => {
+  await Premium.saveEntitlement(
+    await entitlementToken({ expiresAt: Date.now() - DAY, graceUntil: Date.now() + 3 * DAY })
+  );
+  await Storage.set('userEmail', 'artist@example.com');
+
+  const status = await Premium.resolveEntitlement();
+
+  assert.equal(status.state, ENTITLEMENT_STATES.GRACE);
+  assert.equal(status.tier, TIERS.PRO);
+  assert.equal(getRequests('/subscription/verify').length, 1);
+
+  // Renewal isn't retried until RETRY_INTERVAL has passed
+  await Premium.resolveEntitlement();
+  assert.equal(getRequests('/subscription/verify').length, 1);
+});
+
+test('the grace window is capped and then the tier is free', async () => {
+  await Premium.saveEntitlement(
+    await entitlementToken({ expiresAt: Date.now() - 20 * DAY, graceUntil: Date.now() + DAY })
+  );
+
+  const status = await Premium.getEntitlementStatus();
+
+  assert.equal(status.state, ENTITLEMENT_STATES.EXPIRED);
+  assert.equal(status.tier, TIERS.FREE);
+  assert.equal(await Premium.hasFeature('api'), false);
+});
+
+test('verifySubscription stores the token the backend returns', async () => {
+  const token = await entitlementToken({ tier: TIERS.PREMIUM });
+  setFetch(() => ({ body: { active: true, entitlement: token } }));
+  await Storage.set('userEmail', 'artist@example.com');
+  await Storage.setAuthSession('session-1');
+
+  assert.equal(await Premium.verifySubscription(), TIERS.PREMIUM);
+  assert.equal(getStored('entitlement'), token);
+
+  const [request] = getRequests('/subscription/verify');
+  assert.equal(request.headers.Authorization, 'Bearer session-1');
+  assert.equal(request.body.installId, await Storage.getInstallId());
+});
+
+test('verifySubscription drops the plan when the backend says it is inactive', async () => {
+  await Premium.saveEntitlement(await entitlementToken());
+  await Storage.set('userEmail', 'artist@example.com');
+  setFetch(() => ({ body: { active: false } }));
+
+  assert.equal(await Premium.verifySubscription(), TIERS.FREE);
+  assert.equal(getStored('entitlement'), undefined);
+  assert.equal(await Premium.getTier(), TIERS.FREE);
+});
+
+test('verifySubscription keeps the stored plan when the backend sends a bad token', async () => {
+  await Premium.saveEntitlement(await entitlementToken());
+  await Storage.set('userEmail', 'artist@example.com');
+  setFetch(async () => ({
+    body: { active: true, entitlement: await entitlementToken({ installId: 'other' }) },
+  }));
+
+  assert.equal(await Premium.verifySubscription(), TIERS.PRO);
+  assert.equal(await Premium.getTier(), TIERS.PRO);
+});
+
+test('signing in as another account drops the previous plan', async () => {
+  await Premium.signIn({
+    email: 'first@example.com',
+    subscriptionId: 'sub-1',
+    entitlement: await entitlementToken(),
+  });
+  assert.equal(await Premium.getTier(), TIERS.PRO);
+
+  await Premium.signIn({ email: 'second@example.com', subscriptionId: null, entitlement: null });
+
+  assert.equal(await Premium.getTier(), TIERS.FREE);
+  assert.equal(await Premium.getEmail(), 'second@example.com');
+  assert.equal(getStored('subscriptionId'), undefined);
+});
+
+test('signing out clears the account, session and plan', async () => {
+  await Premium.signIn({
+    email: 'artist@example.com',
+    subscriptionId: 'sub-1',
+    entitlement: await entitlementToken(),
+  });
+  await Storage.setAuthSession('session-1');
+
+  await Premium.signOut();
+
+  assert.equal(await Premium.isSignedIn(), false);
+  assert.equal(await Storage.getAuthSession(), null);
+  assert.equal(await Premium.getTier(), TIERS.FREE);
+});